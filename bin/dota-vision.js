@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+var cli = require('../src/cli.js');
+
+// see src/cli.js or run dota-vision help for the commands and options
+cli.run(process.argv.slice(2)).catch(function (err) {
+    console.error('dota-vision: ' + err.message);
+    process.exitCode = 1;
+});
@@ -1,13 +1,16 @@
 var PNG = require('pngjs');
+var imageSource = require('../src/image-source.js');
 
-function ImageHandler(imagePath) {
-    this.imagePath = imagePath;
+function ImageHandler(source) {
+    this.source = source;
+    this.imagePath = typeof source === 'string' ? source : null;
     this.canvas = null;
     this.png = null;
     this.enabled = true;
 }
 ImageHandler.prototype.load = function (callback) {
     var self = this;
+    var source = this.source;
     var t1 = Date.now();
     try {
         self.canvas = document.createElement("canvas");
@@ -16,11 +19,40 @@ ImageHandler.prototype.load = function (callback) {
         if (self.enabled) callback(e);
         return;
     }
-    PNG.load(this.imagePath, self.canvas, function(err, png) {
+    function onLoad(err, png) {
         self.png = png;
         self.ctx = self.canvas.getContext("2d");
         if (self.enabled) callback(err);
-    });
+    }
+    function renderBytes(bytes) {
+        var err, png;
+        try {
+            png = new PNG(new Uint8Array(bytes));
+            png.render(self.canvas);
+        }
+        catch (e) {
+            err = e;
+        }
+        onLoad(err, png);
+    }
+    if (typeof source === 'string') {
+        PNG.load(source, self.canvas, onLoad);
+    }
+    else if (imageSource.isRawImage(source)) {
+        var err = imageSource.validateRawImage(source);
+        if (!err) {
+            self.canvas.width = source.width;
+            self.canvas.height = source.height;
+            self.canvas.getContext("2d").putImageData(new ImageData(new Uint8ClampedArray(source.data), source.width, source.height), 0, 0);
+        }
+        onLoad(err);
+    }
+    else if (imageSource.isBlob(source)) {
+        source.arrayBuffer().then(renderBytes, onLoad);
+    }
+    else {
+        renderBytes(source);
+    }
 }
 ImageHandler.prototype.disable = function () {
     this.enabled = false;
@@ -40,4 +72,4 @@ ImageHandler.prototype.scan = function (offset, width, height, pixelHandler, gri
     }
 }
 
-module.exports = ImageHandler;
\ No newline at end of file
+module.exports = ImageHandler;
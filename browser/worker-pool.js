@@ -0,0 +1,74 @@
+/**
+ * Worker Pool Module for Dota 2, browser version
+ *
+ * Starts the workers used by the batch module as Web Workers, and connects
+ * the worker script to the page that started it. Web Workers load the worker
+ * script from a URL, so it has to be built separately with
+ * npm run browserify:worker and passed as the workerUrl option.
+ *
+ * @module worker-pool
+ */
+
+/**
+ * Returns the number of workers to start when no count is given
+ *
+ * @returns {number} Number of logical processors reported by the browser, 4 if unknown
+ */
+function getDefaultWorkerCount() {
+    return (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+}
+
+/**
+ * Starts a Web Worker running the worker script
+ *
+ * @param {Object} opts - Worker settings
+ * @param {string} opts.workerUrl - URL of the built worker script
+ * @returns {Object} Worker with postMessage(message), onMessage(callback), onError(callback) and terminate() methods
+ * @throws {Error} If no workerUrl is given
+ */
+function createWorker(opts) {
+    if (!opts || !opts.workerUrl) throw new Error('workerUrl is required to start Web Workers');
+    var worker = new Worker(opts.workerUrl);
+    return {
+        postMessage: function (message) {
+            worker.postMessage(message);
+        },
+        onMessage: function (callback) {
+            worker.addEventListener('message', function (e) {
+                callback(e.data);
+            });
+        },
+        onError: function (callback) {
+            worker.addEventListener('error', function (e) {
+                callback(new Error(e.message || 'Worker error'));
+            });
+        },
+        terminate: function () {
+            worker.terminate();
+        }
+    };
+}
+
+/**
+ * Returns the message port of the worker script to the page that started it
+ *
+ * @returns {Object} Port with postMessage(message) and onMessage(callback) methods
+ */
+function getParentPort() {
+    return {
+        postMessage: function (message) {
+            self.postMessage(message);
+        },
+        onMessage: function (callback) {
+            self.addEventListener('message', function (e) {
+                callback(e.data);
+            });
+        }
+    };
+}
+
+module.exports = {
+    getDefaultWorkerCount: getDefaultWorkerCount,
+    createWorker: createWorker,
+    getParentPort: getParentPort
+};
@@ -0,0 +1,19 @@
+var fs = require('fs');
+var VisionSimulation = require('../src/vision-simulation.js');
+
+// compile a map data image into precompiled map data that VisionSimulation.fromMapData loads without decoding the image
+var mapDataImagePath = process.argv[2] || 'www/map_data.png';
+var worlddataPath = process.argv[3] || 'src/worlddata.json';
+var outputPath = process.argv[4] || 'www/map_data.json';
+
+var worlddata = JSON.parse(fs.readFileSync(worlddataPath, 'utf8'));
+var vs = new VisionSimulation(worlddata);
+vs.initialize(mapDataImagePath, function (err) {
+    if (err) {
+        console.error(err);
+        process.exitCode = 1;
+        return;
+    }
+    fs.writeFileSync(outputPath, JSON.stringify(vs.exportMapData()));
+    console.log('compiled', mapDataImagePath, 'to', outputPath);
+});
@@ -0,0 +1,105 @@
+var fs = require('fs');
+var path = require('path');
+var { Jimp } = require('jimp');
+var VisionSimulation = require('../src/vision-simulation.js');
+
+// sweep every valid ward cell and write the number of visible cells as a PNG and/or JSON heatmap
+// usage: node scripts/heatmap.js [--map www/map_data.png] [--worlddata src/worlddata.json] [--radius 25]
+//        [--night] [--png heatmap.png] [--json heatmap.json] [--colormap gray|heat] [--cache .cache/heatmap] [--no-cache]
+//        [--workers 4]
+// --workers sweeps in parallel worker threads instead of the main thread
+// progress is checkpointed to the cache directory, so an interrupted sweep resumes where it stopped
+// and a finished sweep is reused as long as the map and radius do not change
+var args = {
+    map: 'www/map_data.png',
+    worlddata: 'src/worlddata.json',
+    colormap: 'gray',
+    cache: '.cache/heatmap'
+};
+for (var i = 2; i < process.argv.length; i++) {
+    var arg = process.argv[i];
+    if (arg === '--no-cache') args.cache = null;
+    else if (arg === '--night') args.night = true;
+    else if (arg.indexOf('--') === 0) args[arg.slice(2)] = process.argv[++i];
+}
+if (!args.png && !args.json) args.png = 'heatmap.png';
+
+var CHECKPOINT_INTERVAL = 10000;
+var CHECKPOINT_CELLS = 5000;
+
+function loadSimulation(callback) {
+    if (path.extname(args.map) === '.json') {
+        try {
+            callback(null, VisionSimulation.fromMapData(fs.readFileSync(args.map, 'utf8')));
+        }
+        catch (e) {
+            callback(e);
+        }
+        return;
+    }
+    var vs = new VisionSimulation(JSON.parse(fs.readFileSync(args.worlddata, 'utf8')));
+    vs.initialize(args.map, function (err) {
+        callback(err, vs);
+    });
+}
+
+function writeOutputs(heatmap) {
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(heatmap.toJSON()));
+        console.log('wrote', args.json);
+    }
+    if (!args.png) return Promise.resolve();
+    var imageData = heatmap.toImageData({colormap: args.colormap});
+    var image = Jimp.fromBitmap({data: Buffer.from(imageData.data), width: imageData.width, height: imageData.height});
+    return image.write(args.png).then(function () {
+        console.log('wrote', args.png);
+    });
+}
+
+loadSimulation(function (err, vs) {
+    if (err) {
+        console.error(err);
+        process.exitCode = 1;
+        return;
+    }
+    if (args.night) vs.setTimeOfDay(VisionSimulation.NIGHT);
+
+    var heatmap = new VisionSimulation.Heatmap(vs, {radius: args.radius ? parseInt(args.radius) : undefined});
+    var cachePath = args.cache ? path.join(args.cache, 'heatmap-' + heatmap.key + '.json') : null;
+    if (cachePath && fs.existsSync(cachePath)) {
+        try {
+            heatmap = VisionSimulation.Heatmap.fromJSON(vs, fs.readFileSync(cachePath, 'utf8'));
+            console.log(heatmap.complete ? 'using cached heatmap' : 'resuming sweep', cachePath);
+        }
+        catch (e) {
+            console.log('ignoring invalid cache', cachePath, e.message);
+        }
+    }
+    if (cachePath) fs.mkdirSync(args.cache, {recursive: true});
+
+    var t1 = Date.now();
+    function checkpoint() {
+        console.log('progress', (heatmap.getProgress() * 100).toFixed(1) + '%', Date.now() - t1 + 'ms');
+        if (cachePath) fs.writeFileSync(cachePath, JSON.stringify(heatmap.toJSON()));
+    }
+    function sweep() {
+        if (!args.workers) {
+            while (!heatmap.run({timeBudget: CHECKPOINT_INTERVAL})) checkpoint();
+            return Promise.resolve();
+        }
+        return heatmap.runParallel({workers: parseInt(args.workers), limit: CHECKPOINT_CELLS}).then(function (complete) {
+            if (complete) return;
+            checkpoint();
+            return sweep();
+        });
+    }
+
+    sweep().then(function () {
+        console.log('sweep', Date.now() - t1 + 'ms');
+        if (cachePath) fs.writeFileSync(cachePath, JSON.stringify(heatmap.toJSON()));
+        return writeOutputs(heatmap);
+    }).catch(function (err) {
+        console.error(err);
+        process.exitCode = 1;
+    });
+});
@@ -9,6 +9,7 @@
 function App(mapImageDataPath) {
     var worlddata = require("./worlddata.json");
     var VisionSimulation = require("./vision-simulation");
+    var colors = require("./colors.js");
 
     var background = document.getElementById("canvas-background"),
         backgroundCtx = background.getContext("2d"),
@@ -18,22 +19,26 @@ function App(mapImageDataPath) {
         ctx = canvas.getContext("2d"),
         canvasContainer = document.getElementById("canvas-container"),
         CELL = [parseInt(Math.floor(parseInt(document.querySelector("#zoom").value))), parseInt(Math.floor(parseInt(document.querySelector("#zoom").value)))],
-        COLOR_LIGHT_CENTER = [255,165,0],
-        COLOR_LIGHT = [255, 255, 0],
-        COLOR_TREE = [0,255,0],
-        COLOR_STUMP = [102, 51, 0],
-        COLOR_LIT_STUMP = [200, 200, 0],
-        COLOR_INVALID = [255, 0, 0],
-        COLOR_GRIDNAV = [0, 0, 0],
-        COLOR_NO_WARDS = [200, 0,200],
-        COLOR_FOW_BLOCKER = [0,200,200],
-        COLOR_WALL = [255,255,255],
-        debug = false;
+        COLOR_LIGHT_CENTER = colors.COLOR_LIGHT_CENTER,
+        COLOR_LIGHT = colors.COLOR_LIGHT,
+        COLOR_TREE = colors.COLOR_TREE,
+        COLOR_STUMP = colors.COLOR_STUMP,
+        COLOR_LIT_STUMP = colors.COLOR_LIT_STUMP,
+        COLOR_INVALID = colors.COLOR_INVALID,
+        COLOR_GRIDNAV = colors.COLOR_GRIDNAV,
+        COLOR_NO_WARDS = colors.COLOR_NO_WARDS,
+        COLOR_FOW_BLOCKER = colors.COLOR_FOW_BLOCKER,
+        COLOR_WALL = colors.COLOR_WALL,
+        COLOR_GAINED = colors.COLOR_GAINED,
+        COLOR_LOST = colors.COLOR_LOST,
+        debug = false,
+        showDiff = false,
+        previousLights = {},
+        previousKey = null;
         
             
     var vs = new VisionSimulation(worlddata);
-    vs.initialize(mapImageDataPath, function () {console.log('ready 1');});
-    vs.initialize(mapImageDataPath, onReady);
+    vs.initialize(mapImageDataPath).then(function () {onReady(null);}, onReady);
     
     /**
      * Resizes all canvas elements based on the current zoom level and grid dimensions.
@@ -62,25 +67,27 @@ function App(mapImageDataPath) {
     function drawBackground() {
         backgroundCtx.drawImage(vs.imageHandler.canvas, 0, 0, vs.gridWidth, vs.gridHeight, 0, 0, CELL[0]*vs.gridWidth, CELL[1]*vs.gridHeight);
         
-        for (p in vs.gridnav) {
-            var pt = vs.gridnav[p];
-            pt = vs.GridXYtoImageXY(pt.x, pt.y);
-            backgroundCtx.fillStyle = "rgb("+COLOR_GRIDNAV.join(",")+")";
-            backgroundCtx.fillRect(pt.x*CELL[0], pt.y*CELL[1], CELL[0], CELL[1]);
-        }
-        
-        for (var k in vs.tools_no_wards) {
-            var pt = vs.key2pt(k);
-            pt = vs.GridXYtoImageXY(pt.x, pt.y);
-            backgroundCtx.fillStyle = "rgb("+COLOR_NO_WARDS.join(",")+")";
-            backgroundCtx.fillRect(pt.x*CELL[0], pt.y*CELL[1], CELL[0], CELL[1]);
-        }
-        
-        for (var k in vs.ent_fow_blocker_node) {
-            var pt = vs.key2pt(k);
-            pt = vs.GridXYtoImageXY(pt.x, pt.y);
-            backgroundCtx.fillStyle = "rgb("+COLOR_FOW_BLOCKER.join(",")+")";
-            backgroundCtx.fillRect(pt.x*CELL[0], pt.y*CELL[1], CELL[0], CELL[1]);
+        drawLayer(backgroundCtx, vs.gridnav, COLOR_GRIDNAV);
+        drawLayer(backgroundCtx, vs.tools_no_wards, COLOR_NO_WARDS);
+        drawLayer(backgroundCtx, vs.ent_fow_blocker_node, COLOR_FOW_BLOCKER);
+    }
+
+    /**
+     * Fills every cell that is set in a flat grid layer.
+     * 
+     * @param {CanvasRenderingContext2D} context - The canvas context to draw on
+     * @param {Uint8Array} layer - Grid layer indexed by y * gridWidth + x
+     * @param {Array<number>} color - RGB color of the filled cells
+     * @returns {void}
+     */
+    function drawLayer(context, layer, color) {
+        context.fillStyle = "rgb("+color.join(",")+")";
+        for (var i = 0; i < layer.length; i++) {
+            if (layer[i]) {
+                var pt = vs.index2pt(i);
+                pt = vs.GridXYtoImageXY(pt.x, pt.y);
+                context.fillRect(pt.x*CELL[0], pt.y*CELL[1], CELL[0], CELL[1]);
+            }
         }
     }
 
@@ -92,18 +99,28 @@ function App(mapImageDataPath) {
      */
     function drawTrees() {
         for (var k in vs.tree_relations) {
-            var pt = vs.key2pt(k);
-            pt = vs.GridXYtoImageXY(pt.x, pt.y);
-            var treePts = vs.tree_relations[k];
-            var c = COLOR_STUMP;
-            for (var i = 0; i < treePts.length; i++) {
-                var treePt = treePts[i];
-                c = vs.tree_state[treePt.key] ? COLOR_TREE : COLOR_STUMP;
-                if (c === COLOR_TREE) break;
-            }
-            treeCtx.fillStyle = "rgb("+c.join(",")+")";
-            treeCtx.fillRect(pt.x*CELL[0], pt.y*CELL[1], CELL[0], CELL[1]);
+            drawTreeCell(k);
+        }
+    }
+
+    /**
+     * Renders a single tree cell, green if any of its trees stands and brown otherwise.
+     * 
+     * @param {string} k - Key "x,y" of the grid cell
+     * @returns {void}
+     */
+    function drawTreeCell(k) {
+        var pt = vs.key2pt(k);
+        pt = vs.GridXYtoImageXY(pt.x, pt.y);
+        var treePts = vs.tree_relations[k];
+        var c = COLOR_STUMP;
+        for (var i = 0; i < treePts.length; i++) {
+            var treePt = treePts[i];
+            c = vs.tree_state[treePt.key] ? COLOR_TREE : COLOR_STUMP;
+            if (c === COLOR_TREE) break;
         }
+        treeCtx.fillStyle = "rgb("+c.join(",")+")";
+        treeCtx.fillRect(pt.x*CELL[0], pt.y*CELL[1], CELL[0], CELL[1]);
     }
 
     /**
@@ -118,8 +135,7 @@ function App(mapImageDataPath) {
     function redraw(gX, gY) {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         var cpt = vs.GridXYtoImageXY(gX, gY);
-        var key = vs.xy2key(gX, gY);
-        if (!vs.gridnav[key] && !vs.tools_no_wards[key]) {
+        if (!vs.isGridnavBlocked(gX, gY) && !vs.isNoWards(gX, gY)) {
             for (var k in vs.lights) {
                 var pt = vs.key2pt(k);
                 pt = vs.GridXYtoImageXY(pt.x, pt.y);
@@ -136,14 +152,31 @@ function App(mapImageDataPath) {
         }
         
         if (debug && gX !== undefined && gY !== undefined) {
-            var elevation = vs.elevationGrid[key].z;
-            for (var i = 0; i < vs.elevationWalls[elevation].length; i++) {
-                var pt = vs.xy2pt(vs.elevationWalls[elevation][i][1], vs.elevationWalls[elevation][i][2]);
+            drawLayer(ctx, vs.elevationWalls[vs.getElevation(gX, gY)], COLOR_WALL);
+        }
+
+        if (showDiff) {
+            drawDiff();
+        }
+    }
+
+    /**
+     * Colors the cells gained and lost since the previous visibility update.
+     * Shows the gained and lost cell counts next to the diff checkbox.
+     * 
+     * @returns {void}
+     */
+    function drawDiff() {
+        var diff = VisionSimulation.diffVisibility(previousLights, vs.lights);
+        [[diff.added, COLOR_GAINED], [diff.removed, COLOR_LOST]].forEach(function (cells) {
+            ctx.fillStyle = "rgb("+cells[1].join(",")+")";
+            for (var k in cells[0]) {
+                var pt = vs.key2pt(k);
                 pt = vs.GridXYtoImageXY(pt.x, pt.y);
-                ctx.fillStyle = "rgb("+COLOR_WALL.join(",")+")";
                 ctx.fillRect(pt.x*CELL[0], pt.y*CELL[1], CELL[0], CELL[1]);
             }
-        }
+        });
+        document.querySelector("#diff-area").innerHTML = "+" + diff.addedArea + " / -" + diff.removedArea;
     }
 
     /**
@@ -159,6 +192,36 @@ function App(mapImageDataPath) {
         return vs.ImageXYtoGridXY(Math.floor(x/CELL[0]), Math.floor(y/CELL[1]));
     }
 
+    /**
+     * Writes the cut trees, radius and vision source to the URL hash so the board can be shared.
+     * 
+     * @returns {void}
+     */
+    function saveState() {
+        history.replaceState(null, "", "#" + vs.exportState({compact: true}));
+    }
+
+    /**
+     * Restores the board saved in the URL hash, if any, and redraws the vision of its source.
+     * 
+     * @returns {void}
+     */
+    function loadState() {
+        if (location.hash.length <= 1) return;
+        try {
+            vs.importState(location.hash.substring(1));
+        }
+        catch (err) {
+            console.log("ignoring invalid state in URL", err);
+            return;
+        }
+        document.getElementById("radius").value = vs.radius * 64;
+        if (vs.sources.length) {
+            previousKey = vs.sources[0].x + "," + vs.sources[0].y;
+            redraw(vs.sources[0].x, vs.sources[0].y);
+        }
+    }
+
     /**
      * Callback function executed when the vision simulation is ready.
      * Sets up the initial display and binds event listeners for interactive visualization.
@@ -176,19 +239,30 @@ function App(mapImageDataPath) {
         drawBackground();
         drawTrees();
 
+        // only redraw the cells of the tree that changed
+        vs.on("treechange", function (e) {
+            e.blocks.forEach(function (pt) {
+                drawTreeCell(pt.key);
+            });
+        });
+
+        loadState();
+        window.addEventListener("hashchange", loadState);
+
         document.getElementById("canvas-container").addEventListener("click", function(e) {
             var coords = getCoords(e);
             if (vs.toggleTree(coords.x, coords.y)) {
                 var t1 = Date.now();
+                previousLights = vs.lights;
                 vs.updateVisibility(coords.x, coords.y);
                 var t2 = Date.now();
                 document.querySelector("#fov").innerHTML = t2-t1;
                 
                 var t3 = Date.now();
-                drawTrees();
                 redraw(coords.x, coords.y);
                 var t4 = Date.now();
                 document.querySelector("#draw").innerHTML = t4 - t3;
+                saveState();
             }
             e.preventDefault();
         });
@@ -202,6 +276,11 @@ function App(mapImageDataPath) {
             document.querySelector("#worldY-coord").innerHTML = worldXY.y;
             
             var t1 = Date.now();
+            // keep the lights of the previous cell, the mouse moves several times within a cell
+            if (coords.key !== previousKey) {
+                previousLights = vs.lights;
+                previousKey = coords.key;
+            }
             vs.updateVisibility(coords.x, coords.y);
             document.querySelector("#visibility-area").innerHTML = (vs.lightArea / vs.area * 100).toFixed(2) + '%';
             var t2 = Date.now();
@@ -213,6 +292,24 @@ function App(mapImageDataPath) {
             document.querySelector("#draw").innerHTML = t4 - t3;
         });
 
+        // Ctrl+Z reverts the last tree toggle, Ctrl+Y or Ctrl+Shift+Z applies it again
+        document.addEventListener("keydown", function (e) {
+            if (!e.ctrlKey && !e.metaKey) return;
+            var key = e.key.toLowerCase(),
+                changed;
+            if (key === "z" && !e.shiftKey) changed = vs.undo();
+            else if (key === "y" || (key === "z" && e.shiftKey)) changed = vs.redo();
+            else return;
+            e.preventDefault();
+            if (changed && previousKey) {
+                var pt = vs.key2pt(previousKey);
+                previousLights = vs.lights;
+                vs.updateVisibility(pt.x, pt.y);
+                redraw(pt.x, pt.y);
+                saveState();
+            }
+        });
+
         document.getElementById("zoom").addEventListener("change", function (e){
             CELL = [parseInt(Math.floor(parseInt(document.querySelector("#zoom").value))), parseInt(Math.floor(parseInt(document.querySelector("#zoom").value)))];
             resize();
@@ -226,11 +323,18 @@ function App(mapImageDataPath) {
 
         document.getElementById("radius").addEventListener("change", function (e){
             vs.setRadius(parseInt(Math.floor(parseInt(document.getElementById("radius").value) / 64)));
+            saveState();
         }, false);
 
         document.getElementById("debug").addEventListener("change", function (e){
             debug = document.getElementById('debug').checked;
         }, false);
+
+        document.getElementById("diff").addEventListener("change", function (e){
+            showDiff = document.getElementById('diff').checked;
+            document.querySelector("#diff-area").innerHTML = "";
+            redraw();
+        }, false);
     }
 }
 
@@ -0,0 +1,26 @@
+/**
+ * Worker script of the batch module
+ * Receives a copy of the map data and the simulation state, then computes the
+ * visibility of every chunk of sources it is sent and posts the results back
+ */
+var VisionSimulation = require("./vision-simulation.js");
+var batch = require("./batch.js");
+var workerPool = require("./worker-pool.js");
+
+var port = workerPool.getParentPort(),
+    vs = null;
+
+port.onMessage(function (message) {
+    try {
+        if (message.type === 'init') {
+            vs = VisionSimulation.fromMapData(message.mapData, {logger: null});
+            vs.importState(message.state);
+        }
+        else if (message.type === 'run') {
+            port.postMessage({type: 'result', id: message.id, results: batch.computeChunk(vs, message.sources, message.lights)});
+        }
+    }
+    catch (e) {
+        port.postMessage({type: 'error', id: message.id, message: e.message});
+    }
+});
@@ -0,0 +1,161 @@
+/**
+ * Batch Module for Dota 2
+ *
+ * Computes the visibility from many sources in parallel, with Node worker_threads
+ * or Web Workers in the browser. Every worker gets its own copy of the map data
+ * and the simulation state, sources are handed out in chunks as workers become
+ * free, and the results are returned in the order of the sources.
+ *
+ * @module batch
+ */
+var workerPool = require("./worker-pool.js");
+
+/**
+ * Number of chunks per worker when no chunk size is given
+ * Smaller chunks keep every worker busy until the end of the batch
+ * @type {number}
+ * @private
+ */
+var CHUNKS_PER_WORKER = 4;
+
+/**
+ * Computes the visibility of a list of sources on the current thread
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {Array<Object>} sources - Vision sources as accepted by computeVisibility, with x and y grid coordinates
+ * @param {boolean} bLights - Whether to include the lights map of each result
+ * @returns {Array<Object>} Results with x, y, radius, flying, elevation, area and lightArea properties, and lights if requested
+ */
+function computeChunk(vs, sources, bLights) {
+    return sources.map(function (source) {
+        var result = vs.computeVisibility(source.x, source.y, source),
+            copy = {
+                x: result.x,
+                y: result.y,
+                radius: result.radius,
+                flying: result.flying,
+                elevation: result.elevation,
+                area: result.area,
+                lightArea: result.lightArea
+            };
+        if (bLights) copy.lights = result.lights;
+        return copy;
+    });
+}
+
+/**
+ * Copies the properties of a vision source that computeVisibility reads, so it can be posted to a worker
+ *
+ * @param {Object} source - Vision source
+ * @returns {Object} Copy of the source
+ * @private
+ */
+function copySource(source) {
+    return {
+        x: source.x,
+        y: source.y,
+        radius: source.radius,
+        dayRadius: source.dayRadius,
+        nightRadius: source.nightRadius,
+        flying: source.flying
+    };
+}
+
+/**
+ * Computes the visibility from many sources in parallel
+ * Workers see the trees, obstacles, radius settings and time of day of the simulation when the batch starts
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {Array<Object>} sources - Vision sources as accepted by computeVisibility, with x and y grid coordinates
+ * @param {Object} [opts] - Batch settings
+ * @param {number} [opts.workers] - Number of workers, defaults to the number of CPU cores. 0 computes on the current thread
+ * @param {number} [opts.chunkSize] - Number of sources sent to a worker at a time
+ * @param {boolean} [opts.lights=true] - Include the lights map of each result, turn off when only the areas are needed
+ * @param {string} [opts.workerUrl] - Worker script, required in the browser where it is the URL of the bundle
+ * built by npm run browserify:worker
+ * @param {Function} [opts.onProgress] - Called with the number of finished sources and the total after every chunk
+ * @returns {Promise<Array<Object>>} Promise resolving with one result per source, in the order of the sources,
+ * and rejecting with the first error, such as a source out of bounds
+ */
+function computeVisibilityBatch(vs, sources, opts) {
+    opts = opts || {};
+    if (!vs.ready) return Promise.reject(new Error('VisionSimulation is not initialized'));
+    var bLights = opts.lights !== false,
+        workerCount = opts.workers !== undefined ? opts.workers : workerPool.getDefaultWorkerCount();
+
+    if (workerCount < 1 || !sources.length) {
+        try {
+            return Promise.resolve(computeChunk(vs, sources, bLights));
+        }
+        catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    var chunkSize = opts.chunkSize || Math.ceil(sources.length / (workerCount * CHUNKS_PER_WORKER)),
+        chunkCount = Math.ceil(sources.length / chunkSize),
+        mapData = vs.exportMapData({shared: true}),
+        state = vs.exportState();
+    // the workers only compute results, they do not need the visibility of the last update
+    state.sources = [];
+    workerCount = Math.min(workerCount, chunkCount);
+
+    return new Promise(function (resolve, reject) {
+        var results = new Array(sources.length),
+            workers = [],
+            nextChunk = 0,
+            finishedChunks = 0,
+            finishedSources = 0,
+            done = false;
+
+        function finish(err) {
+            if (done) return;
+            done = true;
+            workers.forEach(function (worker) {
+                worker.terminate();
+            });
+            if (err) reject(err);
+            else resolve(results);
+        }
+
+        function dispatch(worker) {
+            if (nextChunk >= chunkCount) return;
+            var start = nextChunk++ * chunkSize;
+            worker.postMessage({type: 'run', id: start, sources: sources.slice(start, start + chunkSize).map(copySource), lights: bLights});
+        }
+
+        function startWorker() {
+            var worker = workerPool.createWorker(opts);
+            workers.push(worker);
+            worker.onMessage(function (message) {
+                if (done) return;
+                if (message.type === 'error') return finish(new Error(message.message));
+                for (var i = 0; i < message.results.length; i++) {
+                    results[message.id + i] = message.results[i];
+                }
+                finishedChunks++;
+                finishedSources += message.results.length;
+                if (opts.onProgress) opts.onProgress(finishedSources, sources.length);
+                if (finishedChunks === chunkCount) finish();
+                else dispatch(worker);
+            });
+            worker.onError(finish);
+            worker.postMessage({type: 'init', mapData: mapData, state: state});
+            dispatch(worker);
+        }
+
+        try {
+            for (var i = 0; i < workerCount; i++) {
+                startWorker();
+            }
+        }
+        catch (e) {
+            finish(e);
+        }
+    });
+}
+
+module.exports = {
+    computeChunk: computeChunk,
+    computeVisibilityBatch: computeVisibilityBatch
+};
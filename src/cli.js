@@ -0,0 +1,310 @@
+/**
+ * Command-Line Module for Dota 2
+ *
+ * Implements the dota-vision command. It loads a map, applies the tree
+ * toggles and time of day given as options, computes the visibility from a
+ * position in grid or world coordinates and prints it as JSON, as a cell count
+ * or as a PNG image. The serve command answers the same queries over HTTP.
+ *
+ * @module cli
+ */
+var fs = require("fs");
+var path = require("path");
+var VisionSimulation = require("./vision-simulation.js");
+var render = require("./render.js");
+var server = require("./server.js");
+
+/**
+ * Default port of the serve command
+ * @type {number}
+ * @private
+ */
+var DEFAULT_PORT = 8085;
+
+/**
+ * Options of the command, mapped to how they take values:
+ * 'flag' takes none, 'value' takes one and 'list' can be repeated
+ * @type {Object}
+ * @private
+ */
+var OPTIONS = {
+    help: 'flag',
+    world: 'flag',
+    flying: 'flag',
+    night: 'flag',
+    radius: 'value',
+    toggle: 'list',
+    map: 'value',
+    worlddata: 'value',
+    out: 'value',
+    mode: 'value',
+    zoom: 'value',
+    port: 'value',
+    host: 'value'
+};
+
+/**
+ * Options that apply to every command
+ * @type {Array<string>}
+ * @private
+ */
+var COMMON_OPTIONS = ['help', 'night', 'map', 'worlddata'];
+
+/**
+ * Options that apply to the commands computing the visibility of a position
+ * @type {Array<string>}
+ * @private
+ */
+var QUERY_OPTIONS = ['world', 'radius', 'flying', 'toggle'];
+
+/**
+ * Usage text printed by the help command
+ * @type {string}
+ * @private
+ */
+var USAGE = [
+    'Usage: dota-vision <command> [<x> <y>] [options]',
+    '',
+    'Commands:',
+    '  visibility <x> <y>  Print the visible cells as JSON',
+    '  count <x> <y>       Print the number of visible cells',
+    '  render <x> <y>      Write the visible cells as a PNG image',
+    '  serve               Answer queries over HTTP until stopped',
+    '  help                Print this help',
+    '',
+    'Options:',
+    '  --world             Read positions as world coordinates instead of grid coordinates',
+    '  --radius <cells>    Vision radius, defaults to the day or night radius',
+    '  --night             Use the night radius',
+    '  --flying            Use flying vision, only limited by the radius',
+    '  --toggle <x,y;...>  Toggle the trees at these positions first, can be repeated',
+    '  --map <path>        Map data image or precompiled .json map, defaults to www/map_data.png',
+    '  --worlddata <path>  World bounds of a map data image, defaults to src/worlddata.json',
+    '  --out <path>        PNG file to write, defaults to the standard output',
+    '  --mode <mode>       PNG mode: mask (default) or overlay',
+    '  --zoom <pixels>     PNG size of a grid cell, defaults to 1',
+    '  --port <port>       HTTP port of serve, defaults to ' + DEFAULT_PORT,
+    '  --host <host>       HTTP address of serve, defaults to 127.0.0.1',
+    ''
+].join('\n');
+
+/**
+ * Parses command-line arguments
+ *
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Object} Options by name, with the command and positional arguments in _
+ * @throws {Error} If an option is unknown or lacks its value
+ */
+function parseArgs(argv) {
+    var args = {_: []};
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (arg.indexOf('--') !== 0) {
+            args._.push(arg);
+            continue;
+        }
+        var name = arg.slice(2);
+        if (!OPTIONS.hasOwnProperty(name)) throw new Error('Unknown option: ' + arg);
+        if (OPTIONS[name] === 'flag') {
+            args[name] = true;
+            continue;
+        }
+        if (i + 1 >= argv.length) throw new Error('Missing value of ' + arg);
+        if (OPTIONS[name] === 'list') (args[name] = args[name] || []).push(argv[++i]);
+        else args[name] = argv[++i];
+    }
+    return args;
+}
+
+/**
+ * Parses a numeric argument
+ *
+ * @param {string} value - Argument to parse
+ * @param {string} name - Name of the argument for the error message
+ * @returns {number} Parsed number
+ * @throws {Error} If the argument is not a finite number
+ * @private
+ */
+function parseNumber(value, name) {
+    var n = value === '' ? NaN : Number(value);
+    if (!isFinite(n)) throw new Error('Invalid ' + name + ': ' + value);
+    return n;
+}
+
+/**
+ * Converts a position argument to grid coordinates
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {boolean} bWorld - Whether the position is in world coordinates
+ * @returns {Object} Point object with grid coordinates
+ * @throws {Error} If grid coordinates are not integers
+ * @private
+ */
+function toGridXY(vs, x, y, bWorld) {
+    if (bWorld) return vs.WorldXYtoGridXY(x, y);
+    if (x !== Math.floor(x) || y !== Math.floor(y)) throw new Error('Grid coordinates must be integers: ' + x + ',' + y);
+    return {x: x, y: y};
+}
+
+/**
+ * Loads the map given by the map and worlddata options
+ * Precompiled .json maps are loaded with fromMapData, other files are map data images
+ *
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<VisionSimulation>} Initialized vision simulation
+ * @private
+ */
+function loadSimulation(args) {
+    var mapPath = args.map || path.join(__dirname, '..', 'www', 'map_data.png'),
+        worlddataPath = args.worlddata || path.join(__dirname, 'worlddata.json');
+    if (path.extname(mapPath) === '.json') {
+        return fs.promises.readFile(mapPath, 'utf8').then(function (data) {
+            return VisionSimulation.fromMapData(data, {logger: null});
+        });
+    }
+    return fs.promises.readFile(worlddataPath, 'utf8').then(function (data) {
+        return new VisionSimulation(JSON.parse(data), {logger: null}).initialize(mapPath);
+    });
+}
+
+/**
+ * Copies a simulation with its map, settings and state, so options can be applied without changing it
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @returns {VisionSimulation} Initialized copy
+ * @private
+ */
+function copySimulation(vs) {
+    var copy = VisionSimulation.fromMapData(vs.exportMapData({shared: true}), Object.assign({}, vs.opts, {logger: null}));
+    copy.importState(vs.exportState());
+    return copy;
+}
+
+/**
+ * Applies the time of day and tree toggles, then computes the visibility of the position arguments
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {Object} args - Parsed arguments
+ * @returns {Object} Visibility result of computeVisibility
+ * @throws {Error} If an argument is invalid or a toggled position has no tree
+ * @private
+ */
+function computeArgs(vs, args) {
+    var pt = toGridXY(vs, parseNumber(args._[0], 'x'), parseNumber(args._[1], 'y'), args.world),
+        radius = args.radius !== undefined ? parseNumber(args.radius, 'radius') : undefined;
+
+    if (radius !== undefined && radius <= 0) throw new Error('Invalid radius: ' + args.radius);
+    if (args.night) vs.setTimeOfDay(VisionSimulation.NIGHT);
+    (args.toggle || []).join(';').split(';').forEach(function (position) {
+        if (!position) return;
+        var coords = position.split(',');
+        if (coords.length !== 2) throw new Error('Invalid tree position: ' + position);
+        var treePt = toGridXY(vs, parseNumber(coords[0], 'tree position'), parseNumber(coords[1], 'tree position'), args.world);
+        if (!vs.toggleTree(treePt.x, treePt.y)) throw new Error('No tree at ' + position);
+    });
+    return vs.computeVisibility(pt.x, pt.y, {radius: radius, flying: args.flying});
+}
+
+/**
+ * Subcommands, each with the number of position arguments it takes, the options that apply to it
+ * besides COMMON_OPTIONS and a run function called with the simulation, the parsed arguments and
+ * the output stream, returning a promise or nothing
+ * Commands run on a copy of a simulation passed to run, unless they are marked shared
+ * @type {Object}
+ * @private
+ */
+var COMMANDS = {
+    visibility: {
+        positions: 2,
+        options: QUERY_OPTIONS,
+        run: function (vs, args, stdout) {
+            stdout.write(JSON.stringify(server.serializeVisibility(vs, computeArgs(vs, args))) + '\n');
+        }
+    },
+    count: {
+        positions: 2,
+        options: QUERY_OPTIONS,
+        run: function (vs, args, stdout) {
+            stdout.write(computeArgs(vs, args).lightArea + '\n');
+        }
+    },
+    render: {
+        positions: 2,
+        options: QUERY_OPTIONS.concat(['out', 'mode', 'zoom']),
+        run: function (vs, args, stdout) {
+            var result = computeArgs(vs, args),
+                opts = {mode: args.mode, zoom: args.zoom !== undefined ? parseNumber(args.zoom, 'zoom') : undefined};
+            if (args.out) return render.writeVisibilityPNG(vs, result, args.out, opts);
+            return render.getVisibilityPNG(vs, result, opts).then(function (buffer) {
+                stdout.write(buffer);
+            });
+        }
+    },
+    serve: {
+        positions: 0,
+        options: ['port', 'host'],
+        // tree toggles and state restores over HTTP change the served simulation
+        shared: true,
+        run: function (vs, args, stdout) {
+            var port = args.port !== undefined ? parseNumber(args.port, 'port') : DEFAULT_PORT,
+                httpServer = server.createServer(vs);
+            if (port < 0 || port > 65535 || port !== Math.floor(port)) throw new Error('Invalid port: ' + args.port);
+            if (args.night) vs.setTimeOfDay(VisionSimulation.NIGHT);
+            return new Promise(function (resolve, reject) {
+                httpServer.once('error', reject);
+                // only listen on the loopback interface unless another host is given
+                httpServer.listen(port, args.host || '127.0.0.1', function () {
+                    var address = httpServer.address();
+                    httpServer.removeListener('error', reject);
+                    stdout.write('listening on http://' + address.address + ':' + address.port + '\n');
+                    resolve(httpServer);
+                });
+            });
+        }
+    }
+};
+
+/**
+ * Runs the dota-vision command
+ *
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @param {Object} [opts] - Run settings
+ * @param {Object} [opts.stdout=process.stdout] - Stream the output is written to
+ * @param {VisionSimulation} [opts.simulation] - Initialized simulation to use instead of loading the map options.
+ * The query commands apply their options to a copy of it, serve answers queries about the simulation itself,
+ * so --night and the changes made over HTTP apply to it
+ * @returns {Promise} Promise resolving once the output is written, or with the listening http.Server of the serve command,
+ * or rejecting with an invalid argument error or an option that does not apply to the command
+ */
+function run(argv, opts) {
+    opts = opts || {};
+    var stdout = opts.stdout || process.stdout;
+    return Promise.resolve().then(function () {
+        var args = parseArgs(argv),
+            command = args._.shift();
+        if (!command || command === 'help' || args.help) {
+            stdout.write(USAGE);
+            return;
+        }
+        if (!COMMANDS.hasOwnProperty(command)) throw new Error('Unknown command: ' + command);
+        if (args._.length !== COMMANDS[command].positions) {
+            throw new Error(COMMANDS[command].positions ? 'Expected <x> <y> after ' + command : 'Unexpected argument: ' + args._[0]);
+        }
+        Object.keys(args).forEach(function (name) {
+            if (name !== '_' && COMMON_OPTIONS.indexOf(name) === -1 && COMMANDS[command].options.indexOf(name) === -1) {
+                throw new Error('Option --' + name + ' does not apply to ' + command);
+            }
+        });
+        var simulation = opts.simulation && !COMMANDS[command].shared ? copySimulation(opts.simulation) : opts.simulation;
+        return Promise.resolve(simulation || loadSimulation(args)).then(function (vs) {
+            return COMMANDS[command].run(vs, args, stdout);
+        });
+    });
+}
+
+module.exports = {
+    parseArgs: parseArgs,
+    run: run
+};
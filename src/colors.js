@@ -0,0 +1,20 @@
+/**
+ * Colors used to draw the simulation, shared by the demo application and the PNG renderer
+ * Each color is an [r, g, b] array
+ *
+ * @module colors
+ */
+module.exports = {
+    COLOR_LIGHT_CENTER: [255, 165, 0],
+    COLOR_LIGHT: [255, 255, 0],
+    COLOR_TREE: [0, 255, 0],
+    COLOR_STUMP: [102, 51, 0],
+    COLOR_LIT_STUMP: [200, 200, 0],
+    COLOR_INVALID: [255, 0, 0],
+    COLOR_GRIDNAV: [0, 0, 0],
+    COLOR_NO_WARDS: [200, 0, 200],
+    COLOR_FOW_BLOCKER: [0, 200, 200],
+    COLOR_WALL: [255, 255, 255],
+    COLOR_GAINED: [0, 160, 255],
+    COLOR_LOST: [255, 0, 128]
+};
@@ -0,0 +1,343 @@
+/**
+ * Heatmap Module for Dota 2
+ *
+ * Sweeps every valid ward cell of the map and records how many cells are
+ * visible from it. The sweep can be run in slices, saved with toJSON and
+ * resumed later with Heatmap.fromJSON, and the saved key identifies the map,
+ * tree state, obstacles and radius a heatmap was computed for so it can be cached.
+ *
+ * @module heatmap
+ */
+
+/**
+ * Format identifier of serialized heatmaps
+ * @type {string}
+ * @private
+ */
+var HEATMAP_FORMAT = 'dota-vision-simulation-heatmap';
+
+/**
+ * Version of the serialized heatmap format
+ * @type {number}
+ * @private
+ */
+var HEATMAP_VERSION = 2;
+
+/**
+ * Color stops of the heat colormap, from the lowest to the highest value
+ * @type {Array<Array<number>>}
+ * @private
+ */
+var HEAT_COLORS = [
+    [0, 0, 128],
+    [0, 128, 255],
+    [0, 255, 128],
+    [255, 255, 0],
+    [255, 0, 0]
+];
+
+/**
+ * Updates a 32-bit FNV-1a hash with the bytes of an array
+ *
+ * @param {number} hash - Current hash
+ * @param {Uint8Array|Array<number>} bytes - Bytes to add
+ * @returns {number} Updated hash
+ * @private
+ */
+function fnv1a(hash, bytes) {
+    for (var i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i] & 0xff;
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Converts a string to an array of char codes for hashing
+ *
+ * @param {string} str - String to convert
+ * @returns {Array<number>} Char codes
+ * @private
+ */
+function str2bytes(str) {
+    var bytes = [];
+    for (var i = 0; i < str.length; i++) {
+        bytes.push(str.charCodeAt(i));
+    }
+    return bytes;
+}
+
+/**
+ * Computes the cache key of a heatmap
+ * The key covers the grid layers, the destroyed trees, the obstacles, the radius and the bounds
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {number} radius - Vision radius of the sweep
+ * @param {Object} bounds - Swept grid rectangle
+ * @returns {string} Hexadecimal key
+ * @private
+ */
+function computeKey(vs, radius, bounds) {
+    var hash = 0x811c9dc5;
+    hash = fnv1a(hash, vs.elevationGrid);
+    hash = fnv1a(hash, vs.gridnav);
+    hash = fnv1a(hash, vs.ent_fow_blocker_node);
+    hash = fnv1a(hash, vs.tools_no_wards);
+    var cutTrees = Object.keys(vs.tree_state).filter(function (treeKey) {
+        return !vs.tree_state[treeKey];
+    }).sort();
+    var obstacles = vs.getObstacles().map(function (obstacle) {
+        return [obstacle.cells, obstacle.height];
+    });
+    hash = fnv1a(hash, str2bytes(JSON.stringify([cutTrees, obstacles, radius, bounds])));
+    return ('0000000' + hash.toString(16)).slice(-8);
+}
+
+/**
+ * Heatmap class
+ * Holds the number of visible cells of every valid ward cell in a flat grid layer
+ * Cells that are not valid ward positions or were not swept yet have a value of 0, and the swept
+ * layer tells them apart from swept cells that see nothing
+ *
+ * @constructor
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {Object} [opts] - Sweep settings
+ * @param {number} [opts.radius] - Ward vision radius, defaults to the simulation's radius for the current time of day
+ * @param {Object} [opts.bounds] - Only sweep the {minX, minY, maxX, maxY} grid rectangle
+ */
+function Heatmap(vs, opts) {
+    opts = opts || {};
+    var bounds = opts.bounds || {};
+    this.vs = vs;
+    this.radius = vs.getSourceRadius({radius: opts.radius});
+    this.width = vs.gridWidth;
+    this.height = vs.gridHeight;
+    this.bounds = {
+        minX: Math.max(0, bounds.minX !== undefined ? bounds.minX : 0),
+        minY: Math.max(0, bounds.minY !== undefined ? bounds.minY : 0),
+        maxX: Math.min(this.width - 1, bounds.maxX !== undefined ? bounds.maxX : this.width - 1),
+        maxY: Math.min(this.height - 1, bounds.maxY !== undefined ? bounds.maxY : this.height - 1)
+    };
+    this.key = computeKey(vs, this.radius, this.bounds);
+    this.values = new Uint32Array(this.width * this.height);
+    this.swept = new Uint8Array(this.width * this.height); // 1 for swept valid ward cells
+    this.next = this.bounds.minY * this.width + this.bounds.minX; // index of the next cell to sweep
+    this.complete = false;
+}
+
+/**
+ * Continues the sweep
+ *
+ * @param {Object} [opts] - Limits of this run, without limits the sweep runs to completion
+ * @param {number} [opts.timeBudget] - Stop after this many milliseconds
+ * @param {number} [opts.limit] - Stop after evaluating this many cells
+ * @returns {boolean} True if the sweep is complete
+ */
+Heatmap.prototype.run = function (opts) {
+    opts = opts || {};
+    var vs = this.vs,
+        bounds = this.bounds,
+        deadline = opts.timeBudget !== undefined ? Date.now() + opts.timeBudget : Infinity,
+        limit = opts.limit !== undefined ? opts.limit : Infinity,
+        end = bounds.maxY * this.width + bounds.maxX,
+        evaluated = 0;
+
+    while (!this.complete) {
+        if (this.next > end) {
+            this.complete = true;
+            break;
+        }
+        var x = this.next % this.width,
+            y = (this.next - x) / this.width;
+        if (x >= bounds.minX && x <= bounds.maxX && vs.isValidXY(x, y, true, true, true)) {
+            if (evaluated >= limit || (evaluated > 0 && Date.now() >= deadline)) break;
+            this.values[this.next] = vs.computeVisibility(x, y, {radius: this.radius}).lightArea;
+            this.swept[this.next] = 1;
+            evaluated++;
+        }
+        this.next++;
+    }
+    return this.complete;
+}
+
+/**
+ * Continues the sweep in parallel with computeVisibilityBatch
+ *
+ * @param {Object} [opts] - Settings of this run, without a limit the sweep runs to completion
+ * @param {number} [opts.limit] - Stop after evaluating this many cells
+ * @param {number} [opts.workers] - Number of workers, defaults to the number of CPU cores
+ * @param {string} [opts.workerUrl] - Worker script, required in the browser
+ * @param {Function} [opts.onProgress] - Called with the number of evaluated cells of this run and their total
+ * @returns {Promise<boolean>} Promise resolving with true if the sweep is complete
+ */
+Heatmap.prototype.runParallel = function (opts) {
+    opts = opts || {};
+    var self = this,
+        vs = this.vs,
+        bounds = this.bounds,
+        limit = opts.limit !== undefined ? opts.limit : Infinity,
+        end = bounds.maxY * this.width + bounds.maxX,
+        next = this.next,
+        sources = [],
+        indexes = [];
+
+    while (next <= end && sources.length < limit) {
+        var x = next % this.width,
+            y = (next - x) / this.width;
+        if (x >= bounds.minX && x <= bounds.maxX && vs.isValidXY(x, y, true, true, true)) {
+            sources.push({x: x, y: y, radius: this.radius});
+            indexes.push(next);
+        }
+        next++;
+    }
+
+    return vs.computeVisibilityBatch(sources, {
+        workers: opts.workers,
+        workerUrl: opts.workerUrl,
+        onProgress: opts.onProgress,
+        lights: false
+    }).then(function (results) {
+        for (var i = 0; i < results.length; i++) {
+            self.values[indexes[i]] = results[i].lightArea;
+            self.swept[indexes[i]] = 1;
+        }
+        self.next = next;
+        if (next > end) self.complete = true;
+        return self.complete;
+    });
+}
+
+/**
+ * Returns the share of the swept area that has been processed
+ *
+ * @returns {number} Progress between 0 and 1
+ */
+Heatmap.prototype.getProgress = function () {
+    var bounds = this.bounds,
+        start = bounds.minY * this.width + bounds.minX,
+        end = bounds.maxY * this.width + bounds.maxX + 1;
+    return this.complete ? 1 : (this.next - start) / (end - start);
+}
+
+/**
+ * Returns the number of visible cells from a grid cell
+ *
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {number} Number of visible cells, 0 for invalid or not yet swept cells
+ */
+Heatmap.prototype.getValue = function (x, y) {
+    var index = this.vs.xy2index(x, y);
+    return index === -1 ? 0 : this.values[index];
+}
+
+/**
+ * Checks if a grid cell is a valid ward cell that has been swept
+ *
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {boolean} True if the cell has a value, even a value of 0
+ */
+Heatmap.prototype.isSwept = function (x, y) {
+    var index = this.vs.xy2index(x, y);
+    return index !== -1 && this.swept[index] === 1;
+}
+
+/**
+ * Returns the highest value of the heatmap
+ *
+ * @returns {number} Highest number of visible cells
+ */
+Heatmap.prototype.getMax = function () {
+    var max = 0;
+    for (var i = 0; i < this.values.length; i++) {
+        if (this.values[i] > max) max = this.values[i];
+    }
+    return max;
+}
+
+/**
+ * Renders the heatmap to RGBA pixels aligned with one layer of the map data image
+ * Image rows run from the top of the map down, like the map data image
+ *
+ * @param {Object} [opts] - Render settings
+ * @param {string} [opts.colormap='gray'] - 'gray' for a grayscale image or 'heat' for a blue to red colormap
+ * @param {number} [opts.max] - Value mapped to the brightest color, defaults to the highest value of the heatmap
+ * @returns {Object} Image with data (Uint8Array of RGBA pixels), width and height properties
+ * Cells that are not valid ward positions or were not swept yet are transparent
+ */
+Heatmap.prototype.toImageData = function (opts) {
+    opts = opts || {};
+    var colormap = opts.colormap || 'gray',
+        max = opts.max || this.getMax() || 1,
+        data = new Uint8Array(this.width * this.height * 4);
+
+    if (colormap !== 'gray' && colormap !== 'heat') throw new Error('Unknown colormap: ' + colormap);
+
+    for (var y = 0; y < this.height; y++) {
+        for (var x = 0; x < this.width; x++) {
+            if (!this.swept[y * this.width + x]) continue;
+            var value = this.values[y * this.width + x];
+            var idx = ((this.height - y - 1) * this.width + x) * 4,
+                t = Math.min(value / max, 1);
+            if (colormap === 'gray') {
+                data[idx] = data[idx + 1] = data[idx + 2] = Math.round(t * 255);
+            }
+            else {
+                var pos = t * (HEAT_COLORS.length - 1),
+                    i = Math.min(Math.floor(pos), HEAT_COLORS.length - 2),
+                    f = pos - i;
+                for (var c = 0; c < 3; c++) {
+                    data[idx + c] = Math.round(HEAT_COLORS[i][c] + (HEAT_COLORS[i + 1][c] - HEAT_COLORS[i][c]) * f);
+                }
+            }
+            data[idx + 3] = 255;
+        }
+    }
+    return {data: data, width: this.width, height: this.height};
+}
+
+/**
+ * Serializes the heatmap, including an unfinished sweep
+ *
+ * @returns {Object} JSON-compatible heatmap with values and swept as flat arrays indexed by y * width + x
+ */
+Heatmap.prototype.toJSON = function () {
+    return {
+        format: HEATMAP_FORMAT,
+        version: HEATMAP_VERSION,
+        key: this.key,
+        radius: this.radius,
+        bounds: this.bounds,
+        width: this.width,
+        height: this.height,
+        next: this.next,
+        complete: this.complete,
+        max: this.getMax(),
+        values: Array.prototype.slice.call(this.values),
+        swept: Array.prototype.slice.call(this.swept)
+    };
+}
+
+/**
+ * Restores a heatmap serialized with toJSON so its sweep can be resumed
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {Object|string} data - Serialized heatmap, or its JSON string
+ * @returns {Heatmap} Restored heatmap
+ * @throws {Error} If the data is not a heatmap or was computed for a different map, tree state, obstacles, radius or bounds
+ */
+Heatmap.fromJSON = function (vs, data) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    if (!data || data.format !== HEATMAP_FORMAT) throw new Error('Invalid heatmap format');
+    if (data.version !== HEATMAP_VERSION) throw new Error('Unsupported heatmap version: ' + data.version);
+    var heatmap = new Heatmap(vs, {radius: data.radius, bounds: data.bounds});
+    if (data.key !== heatmap.key) throw new Error('Heatmap was computed for a different map, tree state, obstacles, radius or bounds');
+    heatmap.values.set(data.values);
+    heatmap.swept.set(data.swept);
+    heatmap.next = data.next;
+    heatmap.complete = data.complete;
+    return heatmap;
+}
+
+module.exports = Heatmap;
@@ -0,0 +1,49 @@
+/**
+ * Helpers shared by the Node and browser ImageHandlers to classify the map
+ * data sources they accept: a path or URL, a Buffer, an ArrayBuffer or typed
+ * array of encoded PNG bytes, a Blob, or raw RGBA pixels with explicit dimensions.
+ *
+ * @module image-source
+ */
+
+/**
+ * Checks if a source is raw RGBA pixel data with explicit dimensions
+ *
+ * @param {*} source - Map data source
+ * @returns {boolean} True if the source is an object with data, width and height properties
+ */
+function isRawImage(source) {
+    return !!source && typeof source === 'object' && !ArrayBuffer.isView(source) &&
+        source.data !== undefined && typeof source.width === 'number' && typeof source.height === 'number';
+}
+
+/**
+ * Checks if a source is a Blob
+ *
+ * @param {*} source - Map data source
+ * @returns {boolean} True if Blob is supported and the source is one
+ */
+function isBlob(source) {
+    return typeof Blob !== 'undefined' && source instanceof Blob;
+}
+
+/**
+ * Validates raw RGBA pixel data
+ *
+ * @param {Object} source - Raw image with data, width and height properties
+ * @returns {Error|undefined} Error describing the problem, or undefined if the data is valid
+ */
+function validateRawImage(source) {
+    if (source.width <= 0 || source.height <= 0 || source.width % 1 !== 0 || source.height % 1 !== 0) {
+        return new Error('Invalid raw image dimensions: ' + source.width + 'x' + source.height);
+    }
+    if (source.data.length !== source.width * source.height * 4) {
+        return new Error('Raw image data length ' + source.data.length + ' does not match ' + source.width + 'x' + source.height + ' RGBA pixels');
+    }
+}
+
+module.exports = {
+    isRawImage: isRawImage,
+    isBlob: isBlob,
+    validateRawImage: validateRawImage
+};
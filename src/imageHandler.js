@@ -3,18 +3,45 @@
  * It serves as a wrapper around the Jimp library to handle image loading and pixel data scanning.
  * 
  * @constructor
- * @param {string} imagePath - The file path to the image to be loaded and processed
+ * @param {string|Buffer|ArrayBuffer|Uint8Array|Blob|Object} source - The file path to the image to be loaded and processed,
+ * its encoded bytes, or raw RGBA pixels as an object with data, width and height properties
  */
 const { Jimp } = require("jimp");
+var imageSource = require("./image-source.js");
 
-function ImageHandler(imagePath) {
-    this.imagePath = imagePath;
+function ImageHandler(source) {
+    this.source = source;
+    this.imagePath = typeof source === 'string' ? source : null;
     this.image = null;
     this.enabled = true;
 }
 
 /**
- * Loads the image from the specified path using Jimp.
+ * Reads an image from any supported source using Jimp.
+ * 
+ * @param {string|Buffer|ArrayBuffer|Uint8Array|Blob|Object} source - Image source
+ * @returns {Promise<Jimp>} Promise resolving with the decoded image
+ * @private
+ */
+function readImage(source) {
+    if (imageSource.isRawImage(source)) {
+        var err = imageSource.validateRawImage(source);
+        if (err) return Promise.reject(err);
+        return Promise.resolve(Jimp.fromBitmap({data: Buffer.from(source.data), width: source.width, height: source.height}));
+    }
+    if (imageSource.isBlob(source)) {
+        return source.arrayBuffer().then(function (arrayBuffer) {
+            return Jimp.read(Buffer.from(arrayBuffer));
+        });
+    }
+    if (ArrayBuffer.isView(source) && !Buffer.isBuffer(source)) {
+        source = Buffer.from(source.buffer, source.byteOffset, source.byteLength);
+    }
+    return Jimp.read(source);
+}
+
+/**
+ * Loads the image from the source using Jimp.
  * Once loaded, the image data is accessible via the image property.
  * 
  * @param {Function} callback - Callback function called when image loading completes or fails
@@ -24,13 +51,13 @@ function ImageHandler(imagePath) {
 ImageHandler.prototype.load = function (callback) {
     var self = this;
     // Using the correct API for Jimp v1.x
-    Jimp.read(this.imagePath)
+    readImage(this.source)
         .then(function (image) {
             self.image = image;
             if (self.enabled) callback();
         })
         .catch(function (err) {
-            console.log('error', err);
+            console.error('error', err);
             if (self.enabled) callback(err);
         });
 }
@@ -69,4 +96,4 @@ ImageHandler.prototype.scan = function (offset, width, height, pixelHandler, gri
     });
 }
 
-module.exports = ImageHandler;
\ No newline at end of file
+module.exports = ImageHandler;
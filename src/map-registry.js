@@ -0,0 +1,162 @@
+/**
+ * Map Registry Module for Dota 2
+ *
+ * Keeps several named map versions, such as the maps of different patches,
+ * side by side. Each version has its own world bounds and layers. A version's
+ * map data is parsed once and its grid layers are shared by every
+ * VisionSimulation created for it, while tree state stays per simulation.
+ *
+ * @module map-registry
+ */
+
+/**
+ * MapRegistry class
+ * Registers map versions and creates simulations for them
+ *
+ * @constructor
+ * @param {Function} [VisionSimulation] - VisionSimulation constructor used to parse and create simulations,
+ * defaults to the one of this package
+ */
+function MapRegistry(VisionSimulation) {
+    // required lazily since vision-simulation.js requires this module
+    this.VisionSimulation = VisionSimulation || require('./vision-simulation.js');
+    this.versions = {};
+}
+
+/**
+ * Registers a map version
+ * Either an image for initialize or precompiled map data from exportMapData is required
+ *
+ * @param {string} name - Name of the map version, for example a patch number
+ * @param {Object} source - Map data of the version
+ * @param {Object} [source.worlddata] - World boundaries, required with an image
+ * @param {string|Buffer|ArrayBuffer|Uint8Array|Blob|Object} [source.image] - Map data image accepted by initialize
+ * @param {Object|string} [source.mapData] - Precompiled map data accepted by loadMapData
+ * @throws {Error} If the name is already registered or the source is incomplete
+ */
+MapRegistry.prototype.register = function (name, source) {
+    if (this.versions[name]) throw new Error('Map version already registered: ' + name);
+    if (!source || (source.image === undefined) === (source.mapData === undefined)) {
+        throw new Error('Map version ' + name + ' needs either an image or precompiled map data');
+    }
+    if (source.image !== undefined && !source.worlddata) {
+        throw new Error('Map version ' + name + ' needs worlddata to load its image');
+    }
+    this.versions[name] = {
+        source: source,
+        mapData: null, // parsed map data with shared layers
+        loading: null // pending load promise
+    };
+}
+
+/**
+ * Removes a map version
+ * Simulations already created for it keep working
+ *
+ * @param {string} name - Name of the map version
+ * @returns {boolean} True if the version was registered
+ */
+MapRegistry.prototype.unregister = function (name) {
+    if (!this.versions[name]) return false;
+    delete this.versions[name];
+    return true;
+}
+
+/**
+ * Checks if a map version is registered
+ *
+ * @param {string} name - Name of the map version
+ * @returns {boolean} True if the version is registered
+ */
+MapRegistry.prototype.has = function (name) {
+    return !!this.versions[name];
+}
+
+/**
+ * Lists the registered map versions
+ *
+ * @returns {Array<string>} Names of the map versions in registration order
+ */
+MapRegistry.prototype.list = function () {
+    return Object.keys(this.versions);
+}
+
+/**
+ * Returns a registered map version
+ *
+ * @param {string} name - Name of the map version
+ * @returns {Object} Version state
+ * @throws {Error} If the version is not registered
+ * @private
+ */
+MapRegistry.prototype._getVersion = function (name) {
+    var version = this.versions[name];
+    if (!version) throw new Error('Unknown map version: ' + name);
+    return version;
+}
+
+/**
+ * Parses the map data of a version once
+ * Concurrent calls share the same pending load
+ *
+ * @param {string} name - Name of the map version
+ * @returns {Promise<Object>} Resolves with the parsed map data whose layers are shared typed arrays
+ */
+MapRegistry.prototype.load = function (name) {
+    var VisionSimulation = this.VisionSimulation,
+        version;
+    try {
+        version = this._getVersion(name);
+    }
+    catch (err) {
+        return Promise.reject(err);
+    }
+    if (version.mapData) return Promise.resolve(version.mapData);
+    if (!version.loading) {
+        var source = version.source;
+        version.loading = Promise.resolve().then(function () {
+            if (source.mapData !== undefined) return VisionSimulation.fromMapData(source.mapData);
+            return new VisionSimulation(source.worlddata).initialize(source.image);
+        }).then(function (vs) {
+            version.mapData = vs.exportMapData({shared: true});
+            version.loading = null;
+            return version.mapData;
+        }, function (err) {
+            version.loading = null;
+            throw err;
+        });
+    }
+    return version.loading;
+}
+
+/**
+ * Creates a simulation for a map version, loading the version first if needed
+ *
+ * @param {string} name - Name of the map version
+ * @param {Object} [opts] - Optional configuration settings passed to the VisionSimulation constructor
+ * @returns {Promise<VisionSimulation>} Resolves with a ready simulation
+ */
+MapRegistry.prototype.create = function (name, opts) {
+    var self = this;
+    return this.load(name).then(function () {
+        return self.createSync(name, opts);
+    });
+}
+
+/**
+ * Creates a simulation for a map version that is already loaded
+ *
+ * @param {string} name - Name of the map version
+ * @param {Object} [opts] - Optional configuration settings passed to the VisionSimulation constructor
+ * @returns {VisionSimulation} Ready simulation whose mapVersion property is the version name
+ * @throws {Error} If the version is not registered or not loaded yet
+ */
+MapRegistry.prototype.createSync = function (name, opts) {
+    var version = this._getVersion(name);
+    if (!version.mapData) throw new Error('Map version not loaded: ' + name);
+    var vs = this.VisionSimulation.fromMapData(version.mapData, opts);
+    vs.mapVersion = name;
+    return vs;
+}
+
+module.exports = MapRegistry;
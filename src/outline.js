@@ -0,0 +1,281 @@
+/**
+ * Outline Module for Dota 2
+ *
+ * Traces the visible cells of a visibility result into polygons with holes.
+ * Each grid cell is a square centered on its grid coordinates, and the traced
+ * outlines follow the cell borders. Outlines can be exported in world
+ * coordinates as GeoJSON, or as SVG paths in world or image coordinates.
+ *
+ * @module outline
+ */
+
+/**
+ * Unit steps of the four edge directions, in counterclockwise order: +x, +y, -x, -y
+ * @type {Array<Array<number>>}
+ * @private
+ */
+var DIRS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * Returns the lights map of a visibility result
+ *
+ * @param {Object} result - Visibility result with a lights map, or a lights map itself
+ * @returns {Object} Map of lit cell keys
+ * @private
+ */
+function getLights(result) {
+    return result.lights && typeof result.lights === 'object' ? result.lights : result;
+}
+
+/**
+ * Returns the signed area of a ring, positive when it runs counterclockwise
+ *
+ * @param {Array<Array<number>>} ring - Ring vertices
+ * @returns {number} Signed area
+ * @private
+ */
+function signedArea(ring) {
+    var area = 0;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area / 2;
+}
+
+/**
+ * Checks if a point lies inside a ring using the even-odd rule
+ *
+ * @param {Array<number>} pt - Point [x, y]
+ * @param {Array<Array<number>>} ring - Ring vertices
+ * @returns {boolean} True if the point is inside
+ * @private
+ */
+function ringContains(pt, ring) {
+    var inside = false;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        var a = ring[i], b = ring[j];
+        if ((a[1] > pt[1]) !== (b[1] > pt[1]) && pt[0] < (b[0] - a[0]) * (pt[1] - a[1]) / (b[1] - a[1]) + a[0]) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Traces lit cells into polygons in grid coordinates
+ * Outer rings run counterclockwise and holes clockwise, with y pointing up as in the grid.
+ * Cells that only touch diagonally belong to separate polygons
+ *
+ * @param {VisionSimulation} vs - Vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map, or a lights map itself
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons, each a list of rings starting with the outer ring.
+ * A ring is a list of [x, y] cell corners, without repeating the first corner
+ */
+function traceGrid(vs, result) {
+    var lights = getLights(result),
+        width = vs.gridWidth + 2,
+        height = vs.gridHeight + 2,
+        lit = new Uint8Array(width * height),
+        edges = {}, // corner index to bit mask of unused outgoing edge directions
+        rings = [];
+
+    // corner cx, cy is the lower left corner of cell cx - 1, cy - 1, at grid coordinates cx - 1.5, cy - 1.5
+    for (var key in lights) {
+        var pt = vs.key2pt(key);
+        if (pt.x < 0 || pt.x >= vs.gridWidth || pt.y < 0 || pt.y >= vs.gridHeight) continue;
+        lit[(pt.y + 1) * width + pt.x + 1] = 1;
+    }
+
+    function addEdge(cx, cy, dir) {
+        var corner = cy * width + cx;
+        edges[corner] = (edges[corner] || 0) | (1 << dir);
+    }
+
+    for (var cy = 1; cy < height - 1; cy++) {
+        for (var cx = 1; cx < width - 1; cx++) {
+            var i = cy * width + cx;
+            if (!lit[i]) continue;
+            // lit cells stay on the left of their boundary edges
+            if (!lit[i - width]) addEdge(cx, cy, 0);
+            if (!lit[i + 1]) addEdge(cx + 1, cy, 1);
+            if (!lit[i + width]) addEdge(cx + 1, cy + 1, 2);
+            if (!lit[i - 1]) addEdge(cx, cy + 1, 3);
+        }
+    }
+
+    for (var start in edges) {
+        while (edges[start]) {
+            var startCorner = +start,
+                startDir = 0,
+                corner = startCorner,
+                dir,
+                ring = [];
+            while (!(edges[start] & (1 << startDir))) startDir++;
+            dir = startDir;
+            while (true) {
+                edges[corner] &= ~(1 << dir);
+                if (!edges[corner]) delete edges[corner];
+                var cx = corner % width,
+                    cy = (corner - cx) / width;
+                ring.push([cx - 1.5, cy - 1.5, dir]);
+                corner = (cy + DIRS[dir][1]) * width + cx + DIRS[dir][0];
+                // prefer turning left to keep diagonally touching cells apart
+                var options = (edges[corner] || 0) | (corner === startCorner ? 1 << startDir : 0),
+                    found = false;
+                for (var turn = 1; turn >= -1 && !found; turn--) {
+                    var next = (dir + turn + 4) % 4;
+                    if (options & (1 << next)) {
+                        dir = next;
+                        found = true;
+                    }
+                }
+                if (!found || (corner === startCorner && dir === startDir)) break;
+            }
+            // keep only the corners where the direction changes
+            rings.push(ring.filter(function (v, i) {
+                return v[2] !== ring[(i + ring.length - 1) % ring.length][2];
+            }).map(function (v) {
+                return [v[0], v[1]];
+            }));
+        }
+    }
+
+    var outers = [],
+        holes = [];
+    rings.forEach(function (ring) {
+        var area = signedArea(ring);
+        if (area > 0) outers.push({ring: ring, area: area, holes: []});
+        else holes.push(ring);
+    });
+    holes.forEach(function (hole) {
+        // a point just inside the hole, to the right of its first edge
+        var a = hole[0],
+            b = hole[1],
+            dx = Math.sign(b[0] - a[0]),
+            dy = Math.sign(b[1] - a[1]),
+            pt = [a[0] + dx * 0.5 + dy * 0.25, a[1] + dy * 0.5 - dx * 0.25],
+            owner = null;
+        outers.forEach(function (outer) {
+            if ((!owner || outer.area < owner.area) && ringContains(pt, outer.ring)) owner = outer;
+        });
+        if (owner) owner.holes.push(hole);
+    });
+    return outers.map(function (outer) {
+        return [outer.ring].concat(outer.holes);
+    });
+}
+
+/**
+ * Traces the lit cells of a visibility result into polygons in world coordinates
+ * Outer rings run counterclockwise and holes clockwise
+ *
+ * @param {VisionSimulation} vs - Vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map, or a lights map itself
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons, each a list of rings starting with the outer ring.
+ * A ring is a list of [x, y] world coordinates, without repeating the first point
+ */
+function tracePolygons(vs, result) {
+    return traceGrid(vs, result).map(function (polygon) {
+        return polygon.map(function (ring) {
+            return ring.map(function (pt) {
+                var world = vs.GridXYtoWorldXY(pt[0], pt[1]);
+                return [world.x, world.y];
+            });
+        });
+    });
+}
+
+/**
+ * Exports the lit cells of a visibility result as a GeoJSON feature in world coordinates
+ *
+ * @param {VisionSimulation} vs - Vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map, or a lights map itself
+ * @param {Object} [properties] - Properties of the feature
+ * @returns {Object} GeoJSON Feature with a MultiPolygon geometry
+ */
+function toGeoJSON(vs, result, properties) {
+    return {
+        type: 'Feature',
+        properties: properties || {},
+        geometry: {
+            type: 'MultiPolygon',
+            coordinates: tracePolygons(vs, result).map(function (polygon) {
+                return polygon.map(function (ring) {
+                    return ring.concat([ring[0]]);
+                });
+            })
+        }
+    };
+}
+
+/**
+ * Exports the lit cells of a visibility result as SVG path data
+ * Holes are drawn in the opposite direction of their outer ring, so both the
+ * nonzero and evenodd fill rules leave them empty
+ *
+ * @param {VisionSimulation} vs - Vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map, or a lights map itself
+ * @param {Object} [opts] - Export settings
+ * @param {string} [opts.space='world'] - 'world' for world coordinates with y negated so north is up,
+ * or 'image' for pixel coordinates of the map data image layers
+ * @param {number} [opts.zoom=1] - Size of a grid cell in pixels in image space
+ * @returns {string} Path data for the d attribute of an SVG path
+ */
+function toSVGPath(vs, result, opts) {
+    opts = opts || {};
+    var space = opts.space || 'world',
+        zoom = opts.zoom || 1,
+        transform;
+
+    if (space === 'world') {
+        transform = function (pt) {
+            var world = vs.GridXYtoWorldXY(pt[0], pt[1]);
+            return [world.x, -world.y];
+        };
+    }
+    else if (space === 'image') {
+        transform = function (pt) {
+            // corners are half a cell from the cell centers, image pixels start at the cell corner
+            return [(pt[0] + 0.5) * zoom, (vs.gridHeight - pt[1] - 0.5) * zoom];
+        };
+    }
+    else {
+        throw new Error('Unknown SVG space: ' + space);
+    }
+
+    return traceGrid(vs, result).map(function (polygon) {
+        return polygon.map(function (ring) {
+            return ring.map(function (pt, i) {
+                var p = transform(pt);
+                return (i ? 'L' : 'M') + p[0] + ' ' + p[1];
+            }).join('') + 'Z';
+        }).join('');
+    }).join('');
+}
+
+/**
+ * Exports the lit cells of a visibility result as a standalone SVG document
+ *
+ * @param {VisionSimulation} vs - Vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map, or a lights map itself
+ * @param {Object} [opts] - Export settings accepted by toSVGPath
+ * @param {string} [opts.fill='rgb(255,255,0)'] - Fill color of the visible area
+ * @returns {string} SVG document covering the whole map
+ */
+function toSVG(vs, result, opts) {
+    opts = opts || {};
+    var zoom = opts.zoom || 1,
+        fill = opts.fill || 'rgb(255,255,0)',
+        viewBox = (opts.space || 'world') === 'world' ?
+            [vs.worldMinX - 32, -vs.worldMaxY - 32, vs.worldWidth + 64, vs.worldHeight + 64] :
+            [0, 0, vs.gridWidth * zoom, vs.gridHeight * zoom];
+    return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="' + viewBox.join(' ') + '">' +
+        '<path fill="' + fill + '" fill-rule="evenodd" d="' + toSVGPath(vs, result, opts) + '"/>' +
+        '</svg>';
+}
+
+module.exports = {
+    traceGrid: traceGrid,
+    tracePolygons: tracePolygons,
+    toGeoJSON: toGeoJSON,
+    toSVGPath: toSVGPath,
+    toSVG: toSVG
+};
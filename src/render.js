@@ -0,0 +1,137 @@
+/**
+ * Render Module for Dota 2
+ *
+ * Draws visibility results to PNG images in Node with Jimp, using the same
+ * colors as the demo application. A result is drawn either as a plain mask
+ * or as an overlay on the elevation layer of the map.
+ *
+ * @module render
+ */
+var fs = require("fs");
+const { Jimp } = require("jimp");
+var colors = require("./colors.js");
+
+/**
+ * Fills a zoomed grid cell of an RGBA pixel buffer
+ * Grid rows are flipped so the top of the map is the first image row, like the map data image
+ *
+ * @param {Object} image - Image with data, width and height properties
+ * @param {VisionSimulation} vs - Vision simulation the cell belongs to
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @param {number} zoom - Size of a grid cell in pixels
+ * @param {Array<number>} color - RGB or RGBA color
+ * @param {number} [opacity=1] - Opacity of the color over the existing pixels
+ * @private
+ */
+function fillCell(image, vs, x, y, zoom, color, opacity) {
+    var pt = vs.GridXYtoImageXY(x, y),
+        alpha = opacity === undefined ? 1 : opacity;
+    for (var py = pt.y * zoom; py < (pt.y + 1) * zoom; py++) {
+        for (var px = pt.x * zoom; px < (pt.x + 1) * zoom; px++) {
+            var idx = (py * image.width + px) * 4;
+            for (var c = 0; c < 3; c++) {
+                image.data[idx + c] = Math.round(image.data[idx + c] * (1 - alpha) + color[c] * alpha);
+            }
+            image.data[idx + 3] = color.length > 3 ? color[3] : 255;
+        }
+    }
+}
+
+/**
+ * Draws a visibility result to raw RGBA pixels
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map, such as the return value of computeVisibility.
+ * Its x and y properties, if set, mark the center
+ * @param {Object} [opts] - Render settings
+ * @param {string} [opts.mode='mask'] - 'mask' draws lit cells on the background color, 'overlay' draws them over the elevation layer
+ * @param {number} [opts.zoom=1] - Size of a grid cell in pixels
+ * @param {Array<number>} [opts.lightColor] - Color of lit cells, defaults to the demo's COLOR_LIGHT
+ * @param {Array<number>} [opts.centerColor] - Color of the center cell, defaults to the demo's COLOR_LIGHT_CENTER
+ * @param {Array<number>} [opts.backgroundColor=[0, 0, 0, 0]] - RGBA color of unlit cells in mask mode
+ * @param {number} [opts.opacity=1] - Opacity of lit cells in overlay mode
+ * @returns {Object} Image with data (Buffer of RGBA pixels), width and height properties
+ */
+function renderVisibility(vs, result, opts) {
+    opts = opts || {};
+    var mode = opts.mode || 'mask',
+        zoom = opts.zoom || 1,
+        lightColor = opts.lightColor || colors.COLOR_LIGHT,
+        centerColor = opts.centerColor || colors.COLOR_LIGHT_CENTER,
+        backgroundColor = opts.backgroundColor || [0, 0, 0, 0],
+        opacity = mode === 'overlay' && opts.opacity !== undefined ? opts.opacity : 1,
+        image = {
+            data: Buffer.alloc(vs.gridWidth * zoom * vs.gridHeight * zoom * 4),
+            width: vs.gridWidth * zoom,
+            height: vs.gridHeight * zoom
+        };
+
+    if (mode !== 'mask' && mode !== 'overlay') throw new Error('Unknown render mode: ' + mode);
+    if (zoom < 1 || zoom !== Math.floor(zoom)) throw new Error('Invalid zoom: ' + zoom);
+
+    for (var i = 0; i < vs.elevationGrid.length; i++) {
+        var pt = vs.index2pt(i);
+        if (mode === 'overlay') {
+            var elevation = vs.elevationGrid[i];
+            fillCell(image, vs, pt.x, pt.y, zoom, [elevation, elevation, elevation]);
+        }
+        else {
+            fillCell(image, vs, pt.x, pt.y, zoom, backgroundColor);
+        }
+    }
+    for (var key in result.lights) {
+        var pt = vs.key2pt(key);
+        fillCell(image, vs, pt.x, pt.y, zoom, lightColor, opacity);
+    }
+    if (result.x !== undefined && result.y !== undefined) {
+        fillCell(image, vs, result.x, result.y, zoom, centerColor, opacity);
+    }
+    return image;
+}
+
+/**
+ * Draws a visibility result to a Jimp image
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map
+ * @param {Object} [opts] - Render settings accepted by renderVisibility
+ * @returns {Jimp} Image of the result
+ */
+function createVisibilityImage(vs, result, opts) {
+    return Jimp.fromBitmap(renderVisibility(vs, result, opts));
+}
+
+/**
+ * Encodes a visibility result as a PNG
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map
+ * @param {Object} [opts] - Render settings accepted by renderVisibility
+ * @returns {Promise<Buffer>} Promise resolving with the PNG file contents
+ */
+function getVisibilityPNG(vs, result, opts) {
+    return createVisibilityImage(vs, result, opts).getBuffer('image/png');
+}
+
+/**
+ * Writes a visibility result to a PNG file
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation the result was computed with
+ * @param {Object} result - Visibility result with a lights map
+ * @param {string} path - Path of the PNG file
+ * @param {Object} [opts] - Render settings accepted by renderVisibility
+ * @returns {Promise} Promise resolving once the file is written
+ */
+function writeVisibilityPNG(vs, result, path, opts) {
+    return getVisibilityPNG(vs, result, opts).then(function (buffer) {
+        return fs.promises.writeFile(path, buffer);
+    });
+}
+
+module.exports = {
+    renderVisibility: renderVisibility,
+    createVisibilityImage: createVisibilityImage,
+    getVisibilityPNG: getVisibilityPNG,
+    writeVisibilityPNG: writeVisibilityPNG
+};
@@ -242,9 +242,10 @@ ROT.FOV.PreciseShadowcasting.prototype.compute = function(x, y, R, callback) {
 	/* standing in a dark place. FIXME is this a good idea?  */
 	if (!this._lightPasses(x, y)) { return; }
 	
-	/* list of all shadows */
-	var SHADOWS = [];
-	var trees = {};
+	/* list of all shadows, restored from a snapshot when resuming */
+	var SHADOWS = this.resumeFrom ? copyShadows(this.resumeFrom.shadows) : [];
+	if (this.resumeFrom) { this.done = this.resumeFrom.done; }
+	var trees = [], treeKeys = {};
 	var totalNeighborCount = 1;
     var cx, cy, blocks, A1, A2, visibility,
         dx, dy, dd, a, b, radius,
@@ -252,24 +253,26 @@ ROT.FOV.PreciseShadowcasting.prototype.compute = function(x, y, R, callback) {
         obstacleType;
 
 	/* analyze surrounding cells in concentric rings, starting from the center */
-	for (var r=1; r<=R; r++) {
+	for (var r=(this.resumeFrom ? this.resumeFrom.ring : 1); r<=R && r<=this.maxRing; r++) {
+		if (this.ringShadows) { this.ringShadows[r-1] = {ring: r, shadows: copyShadows(SHADOWS), done: this.done}; }
 		var neighbors = this._getCircle(x, y, r);
 		var neighborCount = neighbors.length;
         totalNeighborCount += neighborCount;
-        trees = {};
+        trees = [];
+        treeKeys = {};
 		for (var i=0;i<neighborCount;i++) {
 			cx = neighbors[i][0];
 			cy = neighbors[i][1];
-            var key = cx+","+cy;
             if ((x-cx)*(x-cx) + (y-cy)*(y-cy) >= R * R) {
                 totalNeighborCount--;
                 continue;
             }
+            if (this.filterCell && !this.filterCell(cx, cy)) continue;
             //if (key == "44,102") //console.log('KEY', key, !this._lightPasses(cx, cy));
             // if (key == "150,160") //console.log(key, obstacleType);
             // if (key == "151,161") //console.log(key, obstacleType);
             // if (key == "150,161") //console.log(key, obstacleType);
-            var obstacleTypes = obstacleTypes = this.walls[key];
+            var obstacleTypes = this.getWalls(cx, cy);
             if (obstacleTypes && obstacleTypes.length) {
                 var skipVisibility = false;
                 for (var j = 0; j < obstacleTypes.length; j++) {
@@ -292,7 +295,12 @@ ROT.FOV.PreciseShadowcasting.prototype.compute = function(x, y, R, callback) {
                         dy1 = cy - y;
                         dd1 = Math.sqrt(dx1 * dx1 + dy1 * dy1);
                         if (dd1 < dd) {
-                            trees[obstacleType[1]+","+obstacleType[2]] = [obstacleType[1], obstacleType[2]];
+                            /* walls may identify their tree by index, which saves building a key per probe */
+                            var treeKey = obstacleType[4] !== undefined ? obstacleType[4] : obstacleType[1]+","+obstacleType[2];
+                            if (!treeKeys[treeKey]) {
+                                treeKeys[treeKey] = true;
+                                trees.push([obstacleType[1], obstacleType[2]]);
+                            }
                         }
                         
                         dx = cx - x;
@@ -368,7 +376,7 @@ ROT.FOV.PreciseShadowcasting.prototype.compute = function(x, y, R, callback) {
 		} /* for all cells in this ring */
         
         // apply tree blockers
-        for (var k in trees) {
+        for (var k = 0; k < trees.length; k++) {
             ////console.log('apply tree');
             cx2 = trees[k][0];
             cy2 = trees[k][1];
@@ -390,6 +398,50 @@ ROT.FOV.PreciseShadowcasting.prototype.compute = function(x, y, R, callback) {
     return totalNeighborCount;
 }
 
+/**
+ * Return the wall obstacles of a cell
+ * Looks the cell up in the walls map by default, can be overridden on an instance
+ * 
+ * @function ROT.FOV.PreciseShadowcasting.prototype.getWalls
+ * @param {number} x - X coordinate of the cell
+ * @param {number} y - Y coordinate of the cell
+ * @returns {Array|undefined} List of [type, x, y, radius] obstacles in the cell
+ */
+ROT.FOV.PreciseShadowcasting.prototype.getWalls = function(x, y) {
+	return this.walls[x+","+y];
+}
+
+/**
+ * Optional function restricting the cells analyzed by compute, can be set on an instance
+ * Called with the x, y coordinates of each cell, cells it returns false for are skipped
+ * 
+ * @type {Function|null}
+ */
+ROT.FOV.PreciseShadowcasting.prototype.filterCell = null;
+
+/**
+ * Last ring of cells analyzed by compute, can be set on an instance to stop before the radius
+ * 
+ * @type {number}
+ */
+ROT.FOV.PreciseShadowcasting.prototype.maxRing = Infinity;
+
+/**
+ * Optional array receiving the shadows at the start of each ring, can be set on an instance
+ * compute stores a {ring, shadows, done} snapshot for ring r at index r - 1
+ * 
+ * @type {Array|null}
+ */
+ROT.FOV.PreciseShadowcasting.prototype.ringShadows = null;
+
+/**
+ * Optional snapshot recorded in ringShadows to resume from, can be set on an instance
+ * compute then starts at the snapshot's ring with its shadows, after calling back the cells around the center as usual
+ * 
+ * @type {Object|null}
+ */
+ROT.FOV.PreciseShadowcasting.prototype.resumeFrom = null;
+
 /**
  * Check if a point is visible by examining shadows
  * 
@@ -609,6 +661,22 @@ function isBetween(b, A1, A2) {
     }
 }
 
+/**
+ * Copy a list of shadows so later merges do not modify it
+ * 
+ * @function copyShadows
+ * @param {Array} SHADOWS - List of [start, end] shadow arcs
+ * @returns {Array} Copied list
+ * @private
+ */
+function copyShadows(SHADOWS) {
+    var copy = [];
+    for (var i = 0; i < SHADOWS.length; i++) {
+        copy.push([SHADOWS[i][0], SHADOWS[i][1]]);
+    }
+    return copy;
+}
+
 /**
  * Normalize an angle to the range [-π, π]
  * 
@@ -0,0 +1,342 @@
+/**
+ * Server Module for Dota 2
+ *
+ * Serves one vision simulation over HTTP, so several tools can query the same
+ * map instead of each loading its own copy. Every endpoint takes and returns
+ * JSON, and the server only uses the Node http module, so it runs offline.
+ *
+ * Endpoints:
+ * - GET /health - Status of the server and the loaded map
+ * - GET /visibility?x&y[&radius][&flying][&world] - Visible cells from a position
+ * - GET /line-of-sight?x1&y1&x2&y2[&radius][&flying][&world] - Whether a position sees another
+ * - GET /cell?x&y[&world] - Elevation, blockers and trees of a cell
+ * - POST /trees/toggle - Toggles the trees at the {trees: [[x, y], ...], world} positions of the body
+ * - GET /state[?compact] - State snapshot of exportState
+ * - PUT /state - Restores a state snapshot, or a {state} compact string, with importState
+ *
+ * @module server
+ */
+var http = require("http");
+
+/**
+ * Default maximum size of a request body in bytes
+ * @type {number}
+ * @private
+ */
+var MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Creates an error answered with a client error status
+ *
+ * @param {string} message - Error message sent to the client
+ * @param {number} [statusCode=400] - HTTP status code
+ * @returns {Error} Error with a statusCode property
+ * @private
+ */
+function requestError(message, statusCode) {
+    var err = new Error(message);
+    err.statusCode = statusCode || 400;
+    return err;
+}
+
+/**
+ * Reads a numeric query parameter
+ *
+ * @param {URLSearchParams} query - Query parameters
+ * @param {string} name - Parameter name
+ * @param {boolean} [bOptional=false] - Whether the parameter can be omitted
+ * @returns {number|undefined} Parsed number, undefined if an optional parameter is omitted
+ * @throws {Error} If the parameter is missing or not a finite number
+ * @private
+ */
+function readNumber(query, name, bOptional) {
+    var value = query.get(name);
+    if (value === null) {
+        if (bOptional) return undefined;
+        throw requestError('Missing parameter: ' + name);
+    }
+    var n = value === '' ? NaN : Number(value);
+    if (!isFinite(n)) throw requestError('Invalid ' + name + ': ' + value);
+    return n;
+}
+
+/**
+ * Reads a boolean query parameter, set by an empty value, 1 or true
+ *
+ * @param {URLSearchParams} query - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {boolean} Parameter value, false if omitted
+ * @throws {Error} If the parameter is not a boolean
+ * @private
+ */
+function readBoolean(query, name) {
+    var value = query.get(name);
+    if (value === null || value === '0' || value === 'false') return false;
+    if (value === '' || value === '1' || value === 'true') return true;
+    throw requestError('Invalid ' + name + ': ' + value);
+}
+
+/**
+ * Reads the optional vision radius query parameter
+ *
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {number|undefined} Radius, undefined to use the radius for the current time of day
+ * @throws {Error} If the radius is not a positive number
+ * @private
+ */
+function readRadius(query) {
+    var radius = readNumber(query, 'radius', true);
+    if (radius !== undefined && radius <= 0) throw requestError('Invalid radius: ' + radius);
+    return radius;
+}
+
+/**
+ * Converts a position to grid coordinates and checks that it lies in the grid
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {boolean} bWorld - Whether the position is in world coordinates
+ * @returns {Object} Point object with grid coordinates
+ * @throws {Error} If grid coordinates are not integers or the position is outside the grid
+ * @private
+ */
+function toGridXY(vs, x, y, bWorld) {
+    var pt = bWorld ? vs.WorldXYtoGridXY(x, y) : {x: x, y: y};
+    if (!bWorld && (x !== Math.floor(x) || y !== Math.floor(y))) throw requestError('Grid coordinates must be integers: ' + x + ',' + y);
+    if (vs.xy2index(pt.x, pt.y) === -1) throw requestError('Position out of bounds: ' + x + ',' + y);
+    return pt;
+}
+
+/**
+ * Reads a position from two query parameters
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {URLSearchParams} query - Query parameters, with world set for world coordinates
+ * @param {string} xName - Name of the x parameter
+ * @param {string} yName - Name of the y parameter
+ * @returns {Object} Point object with grid coordinates
+ * @private
+ */
+function readPosition(vs, query, xName, yName) {
+    return toGridXY(vs, readNumber(query, xName), readNumber(query, yName), readBoolean(query, 'world'));
+}
+
+/**
+ * Converts a visibility result to JSON data
+ *
+ * @param {VisionSimulation} vs - Vision simulation the result was computed with
+ * @param {Object} result - Visibility result of computeVisibility
+ * @returns {Object} Result with the position in world coordinates, and the visible
+ * cells as a list of [x, y] grid coordinates sorted by row
+ */
+function serializeVisibility(vs, result) {
+    var cells = Object.keys(result.lights).map(function (key) {
+        var pt = vs.key2pt(key);
+        return [pt.x, pt.y];
+    }).sort(function (a, b) {
+        return a[1] - b[1] || a[0] - b[0];
+    });
+    return {
+        x: result.x,
+        y: result.y,
+        world: vs.GridXYtoWorldXY(result.x, result.y),
+        radius: result.radius,
+        flying: result.flying,
+        elevation: result.elevation,
+        area: result.area,
+        lightArea: result.lightArea,
+        cells: cells
+    };
+}
+
+/**
+ * Endpoint handlers by method and path, each called with the simulation,
+ * the query parameters and the parsed request body, and returning the response data
+ * @type {Object}
+ * @private
+ */
+var ROUTES = {
+    'GET /health': function (vs) {
+        return {
+            status: 'ok',
+            gridWidth: vs.gridWidth,
+            gridHeight: vs.gridHeight,
+            trees: Object.keys(vs.tree).length,
+            cutTrees: Object.keys(vs.tree_regrow_time).length,
+            obstacles: vs.getObstacles().length,
+            time: vs.time,
+            timeOfDay: vs.timeOfDay
+        };
+    },
+    'GET /visibility': function (vs, query) {
+        var pt = readPosition(vs, query, 'x', 'y');
+        return serializeVisibility(vs, vs.computeVisibility(pt.x, pt.y, {radius: readRadius(query), flying: readBoolean(query, 'flying')}));
+    },
+    'GET /line-of-sight': function (vs, query) {
+        var source = readPosition(vs, query, 'x1', 'y1'),
+            target = readPosition(vs, query, 'x2', 'y2'),
+            radius = readRadius(query),
+            flying = readBoolean(query, 'flying');
+        return {
+            source: source,
+            target: target,
+            radius: vs.getSourceRadius({radius: radius}),
+            flying: flying,
+            visible: vs.canSee(source, target, radius, flying)
+        };
+    },
+    'GET /cell': function (vs, query) {
+        var pt = readPosition(vs, query, 'x', 'y');
+        return {
+            x: pt.x,
+            y: pt.y,
+            world: vs.GridXYtoWorldXY(pt.x, pt.y),
+            elevation: vs.getElevation(pt.x, pt.y),
+            gridnavBlocked: vs.isGridnavBlocked(pt.x, pt.y),
+            fowBlocker: vs.isFowBlocker(pt.x, pt.y),
+            noWards: vs.isNoWards(pt.x, pt.y),
+            obstacle: vs.isObstacle(pt.x, pt.y),
+            validWard: vs.isValidXY(pt.x, pt.y, true, true, true),
+            trees: (vs.tree_relations[vs.xy2key(pt.x, pt.y)] || []).map(function (tree) {
+                return {key: tree.key, standing: vs.tree_state[tree.key]};
+            })
+        };
+    },
+    'POST /trees/toggle': function (vs, query, body) {
+        if (!body || !Array.isArray(body.trees) || !body.trees.length) throw requestError('Expected a trees array of [x, y] positions');
+        // validate every position first, so an invalid one leaves all trees as they are
+        var treeKeys = {},
+            positions = body.trees.map(function (position) {
+                if (!Array.isArray(position) || position.length !== 2 || typeof position[0] !== 'number' || typeof position[1] !== 'number') {
+                    throw requestError('Invalid tree position: ' + JSON.stringify(position));
+                }
+                var pt = toGridXY(vs, position[0], position[1], !!body.world),
+                    trees = vs.tree_relations[vs.xy2key(pt.x, pt.y)];
+                if (!trees) throw requestError('No tree at ' + position.join(','));
+                // a tree toggled twice would end up as it was
+                trees.forEach(function (tree) {
+                    if (treeKeys[tree.key]) throw requestError('Tree at ' + position.join(',') + ' is already toggled by another position');
+                    treeKeys[tree.key] = true;
+                });
+                return pt;
+            });
+        positions.forEach(function (pt) {
+            vs.toggleTree(pt.x, pt.y);
+        });
+        return {toggled: positions.length, cutTrees: vs.getCutTrees()};
+    },
+    'GET /state': function (vs, query) {
+        return readBoolean(query, 'compact') ? {state: vs.exportState({compact: true})} : vs.exportState();
+    },
+    'PUT /state': function (vs, query, body) {
+        if (!body || typeof body !== 'object') throw requestError('Expected a state object');
+        try {
+            vs.importState(typeof body.state === 'string' ? body.state : body);
+        }
+        catch (e) {
+            throw requestError(e.message);
+        }
+        return vs.exportState();
+    }
+};
+
+/**
+ * Reads and parses the JSON body of a request
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBodySize - Maximum body size in bytes
+ * @returns {Promise<*>} Promise resolving with the parsed body, or undefined without a body
+ * @private
+ */
+function readBody(req, maxBodySize) {
+    return new Promise(function (resolve, reject) {
+        var chunks = [],
+            size = 0;
+        req.on('data', function (chunk) {
+            size += chunk.length;
+            // keep draining a body that is too large so the error response can be sent
+            if (size > maxBodySize) reject(requestError('Request body is larger than ' + maxBodySize + ' bytes', 413));
+            else chunks.push(chunk);
+        });
+        req.on('error', reject);
+        req.on('end', function () {
+            if (size > maxBodySize) return;
+            var text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve(undefined);
+            try {
+                resolve(JSON.parse(text));
+            }
+            catch (e) {
+                reject(requestError('Invalid JSON body'));
+            }
+        });
+    });
+}
+
+/**
+ * Sends a JSON response
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {*} data - Response data
+ * @param {Object} [headers] - Additional headers
+ * @private
+ */
+function sendJSON(res, statusCode, data, headers) {
+    var body = JSON.stringify(data);
+    res.writeHead(statusCode, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    }, headers));
+    res.end(body);
+}
+
+/**
+ * Creates an HTTP server answering queries about a vision simulation
+ * Tree toggles and state restores change the simulation, so every client sees them
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {Object} [opts] - Server settings
+ * @param {number} [opts.maxBodySize=1048576] - Maximum size of a request body in bytes
+ * @returns {http.Server} Server that is not listening yet
+ */
+function createServer(vs, opts) {
+    opts = opts || {};
+    var maxBodySize = opts.maxBodySize || MAX_BODY_SIZE;
+
+    return http.createServer(function (req, res) {
+        var url, handler;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        }
+        catch (e) {
+            // a path such as // reads as a URL without a host
+            sendJSON(res, 400, {error: 'Invalid URL: ' + req.url});
+            return;
+        }
+
+        handler = ROUTES[req.method + ' ' + url.pathname];
+        if (!handler) {
+            var allowed = Object.keys(ROUTES).filter(function (route) {
+                return route.split(' ')[1] === url.pathname;
+            }).map(function (route) {
+                return route.split(' ')[0];
+            });
+            if (allowed.length) sendJSON(res, 405, {error: 'Method not allowed: ' + req.method}, {'Allow': allowed.join(', ')});
+            else sendJSON(res, 404, {error: 'Not found: ' + url.pathname});
+            return;
+        }
+
+        readBody(req, maxBodySize).then(function (body) {
+            sendJSON(res, 200, handler(vs, url.searchParams, body));
+        }).catch(function (err) {
+            sendJSON(res, err.statusCode || 500, {error: err.message});
+        });
+    });
+}
+
+module.exports = {
+    createServer: createServer,
+    serializeVisibility: serializeVisibility
+};
@@ -0,0 +1,280 @@
+/**
+ * Team Vision Module for Dota 2
+ *
+ * Keeps a separate fog of war state per team on top of a VisionSimulation.
+ * Each team registers its own vision sources and the visible cells of every
+ * source are cached, so team queries only merge cached results and never
+ * recompute the field of view of sources that did not change. Sources are
+ * marked stale from the events of the simulation and recomputed on the next query.
+ *
+ * @module team-vision
+ */
+
+/**
+ * TeamVision class
+ * Tracks vision sources and visible cells per team
+ * Listens to the events of the simulation until destroy is called
+ *
+ * @constructor
+ * @param {VisionSimulation} vs - Initialized vision simulation used to compute the field of view
+ */
+function TeamVision(vs) {
+    var self = this;
+    this.vs = vs;
+    this.teams = {};
+    this.listeners = {
+        timeofdaychange: function () {
+            self._markStale(function (state, id) {
+                return vs.getSourceRadius(state.sources[id]) !== state.sourceRadius[id];
+            });
+        },
+        treechange: function (e) {
+            self._markReaching(e.blocks);
+        },
+        obstaclechange: function (e) {
+            var cells = [];
+            [e.obstacle, e.previous].forEach(function (obstacle) {
+                if (obstacle) cells = cells.concat(obstacle.cells.map(function (index) { return vs.index2pt(index); }));
+            });
+            self._markReaching(cells);
+        }
+    };
+    for (var name in this.listeners) {
+        vs.on(name, this.listeners[name]);
+    }
+}
+
+/**
+ * Team name of the Radiant side
+ * @type {string}
+ */
+TeamVision.RADIANT = 'radiant';
+
+/**
+ * Team name of the Dire side
+ * @type {string}
+ */
+TeamVision.DIRE = 'dire';
+
+/**
+ * Returns the state of a team, creating it if it does not exist yet
+ *
+ * @param {string} team - Team name
+ * @returns {Object} Team state with sources, sourceLights and lights properties
+ * @private
+ */
+TeamVision.prototype._getTeam = function (team) {
+    if (!this.teams[team]) {
+        this.teams[team] = {
+            sources: {}, // source id to source map
+            sourceLights: {}, // source id to cached lights map
+            sourceRadius: {}, // source id to radius used for the cached lights
+            staleSources: {}, // ids of the sources to recompute before the next query
+            lights: null // merged lights, null when it needs to be rebuilt
+        };
+    }
+    return this.teams[team];
+}
+
+/**
+ * Computes and caches the visible cells of a single source
+ *
+ * @param {Object} state - Team state
+ * @param {string|number} id - Identifier of the source
+ * @private
+ */
+TeamVision.prototype._computeSource = function (state, id) {
+    var source = state.sources[id],
+        result = this.vs.computeVisibility(source.x, source.y, source);
+    state.sourceLights[id] = result.lights;
+    state.sourceRadius[id] = result.radius;
+    delete state.staleSources[id];
+    state.lights = null;
+}
+
+/**
+ * Marks the sources that pass a test as stale, so they are recomputed on the next query
+ *
+ * @param {Function} test - Called with the team state and a source id, returns true to mark the source
+ * @private
+ */
+TeamVision.prototype._markStale = function (test) {
+    for (var name in this.teams) {
+        var state = this.teams[name];
+        for (var id in state.sources) {
+            if (test(state, id)) state.staleSources[id] = true;
+        }
+    }
+}
+
+/**
+ * Marks the sources whose field of view reaches any of the given cells as stale
+ * The field of view always reaches the first two rings around a source, and otherwise ends at its radius
+ *
+ * @param {Array<Object>} cells - Changed grid cells as {x, y} points
+ * @private
+ */
+TeamVision.prototype._markReaching = function (cells) {
+    this._markStale(function (state, id) {
+        var source = state.sources[id],
+            reach = Math.max(2, Math.ceil(state.sourceRadius[id]));
+        return cells.some(function (pt) {
+            return Math.max(Math.abs(pt.x - source.x), Math.abs(pt.y - source.y)) <= reach;
+        });
+    });
+}
+
+/**
+ * Registers a vision source for a team, or moves an existing one
+ * Only this source's field of view is recomputed
+ *
+ * @param {string} team - Team name
+ * @param {string|number} id - Identifier of the source, unique within the team
+ * @param {Object} source - Vision source
+ * @param {number} source.x - X coordinate of the source in the grid
+ * @param {number} source.y - Y coordinate of the source in the grid
+ * @param {number} [source.radius] - Fixed vision radius, overrides dayRadius and nightRadius
+ * @param {number} [source.dayRadius] - Day vision radius, defaults to the simulation's radius setting
+ * @param {number} [source.nightRadius] - Night vision radius, defaults to the simulation's nightRadius setting
+ * @param {boolean} [source.flying] - Whether the source has flying vision
+ */
+TeamVision.prototype.addSource = function (team, id, source) {
+    var state = this._getTeam(team);
+    state.sources[id] = source;
+    this._computeSource(state, id);
+}
+
+/**
+ * Removes a vision source from a team
+ *
+ * @param {string} team - Team name
+ * @param {string|number} id - Identifier of the source
+ * @returns {boolean} True if the source existed and was removed
+ */
+TeamVision.prototype.removeSource = function (team, id) {
+    var state = this.teams[team];
+    if (!state || !state.sources[id]) return false;
+    delete state.sources[id];
+    delete state.sourceLights[id];
+    delete state.sourceRadius[id];
+    delete state.staleSources[id];
+    state.lights = null;
+    return true;
+}
+
+/**
+ * Recomputes the field of view of every registered source
+ * Tree, obstacle and time of day changes are tracked from the events of the simulation,
+ * this is only needed after changes without an event, such as setRadius
+ *
+ * @param {string} [team] - Only recompute the sources of this team
+ */
+TeamVision.prototype.invalidate = function (team) {
+    for (var name in this.teams) {
+        if (team !== undefined && name !== team) continue;
+        var state = this.teams[name];
+        for (var id in state.sources) {
+            this._computeSource(state, id);
+        }
+    }
+}
+
+/**
+ * Switches the simulation between day and night
+ * Every registered source whose radius depends on the time of day is recomputed on the next query,
+ * as it is when the time of day of the simulation is set directly
+ *
+ * @param {string} timeOfDay - VisionSimulation.DAY or VisionSimulation.NIGHT
+ */
+TeamVision.prototype.setTimeOfDay = function (timeOfDay) {
+    this.vs.setTimeOfDay(timeOfDay);
+}
+
+/**
+ * Stops listening to the events of the simulation
+ * Cached results are no longer updated when the simulation changes
+ */
+TeamVision.prototype.destroy = function () {
+    for (var name in this.listeners) {
+        this.vs.removeListener(name, this.listeners[name]);
+    }
+}
+
+/**
+ * Returns the merged visible cells of a team
+ *
+ * @param {string} team - Team name
+ * @returns {Object} Map of grid cell keys visible to the team
+ */
+TeamVision.prototype.getVisibleCells = function (team) {
+    var state = this._getTeam(team);
+    for (var id in state.staleSources) {
+        this._computeSource(state, id);
+    }
+    if (!state.lights) {
+        state.lights = {};
+        for (var id in state.sourceLights) {
+            for (var key in state.sourceLights[id]) {
+                state.lights[key] = 255;
+            }
+        }
+    }
+    return state.lights;
+}
+
+/**
+ * Checks if a grid cell is visible to a team
+ *
+ * @param {string} team - Team name
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {boolean} True if any source of the team sees the cell
+ */
+TeamVision.prototype.isVisible = function (team, x, y) {
+    return (x + "," + y) in this.getVisibleCells(team);
+}
+
+/**
+ * Returns the cells visible to a team but not to the other teams
+ *
+ * @param {string} team - Team name
+ * @param {string|Array<string>} [otherTeams] - Teams to compare against, defaults to every other registered team
+ * @returns {Object} Map of grid cell keys only visible to the team
+ */
+TeamVision.prototype.getExclusiveCells = function (team, otherTeams) {
+    var self = this,
+        result = {},
+        lights = this.getVisibleCells(team);
+
+    if (otherTeams === undefined) {
+        otherTeams = Object.keys(this.teams).filter(function (name) { return name !== team; });
+    }
+    else if (!Array.isArray(otherTeams)) {
+        otherTeams = [otherTeams];
+    }
+    var others = otherTeams.map(function (name) { return self.getVisibleCells(name); });
+
+    for (var key in lights) {
+        var seen = false;
+        for (var i = 0; i < others.length; i++) {
+            if (key in others[i]) {
+                seen = true;
+                break;
+            }
+        }
+        if (!seen) result[key] = 255;
+    }
+    return result;
+}
+
+/**
+ * Returns the ids of the sources a team has registered
+ *
+ * @param {string} team - Team name
+ * @returns {Array<string>} Source ids
+ */
+TeamVision.prototype.getSourceIds = function (team) {
+    return this.teams[team] ? Object.keys(this.teams[team].sources) : [];
+}
+
+module.exports = TeamVision;
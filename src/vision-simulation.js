@@ -6,29 +6,83 @@
  * 
  * @module vision-simulation
  */
+var EventEmitter = require("events").EventEmitter;
 var ImageHandler = require("./imageHandler.js");
 var ROT = require("./rot6.js");
+var TeamVision = require("./team-vision.js");
+var MapRegistry = require("./map-registry.js");
+var findWardSpots = require("./ward-optimizer.js").findWardSpots;
+var Heatmap = require("./heatmap.js");
+var batch = require("./batch.js");
+var outline = require("./outline.js");
 
 /**
- * Cache for key to point conversions to improve performance
- * @type {Object}
+ * Identifier of the precompiled map data format written by exportMapData
+ * @type {string}
  * @private
  */
-var key2pt_cache = {};
+var MAP_DATA_FORMAT = 'dota-vision-simulation-map';
+
+/**
+ * Version of the precompiled map data format written by exportMapData
+ * @type {number}
+ * @private
+ */
+var MAP_DATA_VERSION = 1;
+
+/**
+ * Identifier of the simulation state format written by exportState
+ * @type {string}
+ * @private
+ */
+var STATE_FORMAT = 'dota-vision-simulation-state';
+
+/**
+ * Version of the simulation state format written by exportState
+ * @type {number}
+ * @private
+ */
+var STATE_VERSION = 1;
+
+/**
+ * Properties of a vision source kept in the simulation state, in their compact order
+ * @type {Array<string>}
+ * @private
+ */
+var STATE_SOURCE_FIELDS = ['x', 'y', 'radius', 'flying', 'dayRadius', 'nightRadius', 'id'];
+
+/**
+ * Properties of an obstacle kept in the simulation state, in their compact order
+ * @type {Array<string>}
+ * @private
+ */
+var STATE_OBSTACLE_FIELDS = ['id', 'height', 'expireTime', 'x', 'y', 'radius', 'points'];
+
+/**
+ * Names of the flat grid layers stored in precompiled map data
+ * @type {Array<string>}
+ * @private
+ */
+var MAP_DATA_LAYERS = ['gridnav', 'ent_fow_blocker_node', 'tools_no_wards', 'elevationGrid'];
+
+/**
+ * Distance in grid cells from the line of sight within which cells are traced by canSee
+ * A wall cell's shadow reaches SQRT2 cells from its center and a tree's shadow SQRT2 cells from its origin,
+ * which lies within a cell of the cells it blocks
+ * @type {number}
+ * @private
+ */
+var LINE_OF_SIGHT_MARGIN = 3;
 
 /**
  * Converts a coordinate key string to a point object
- * Uses cached results when available for performance
  * 
  * @param {string} key - Coordinate key in format "x,y"
  * @returns {Object} Point object with x, y, and key properties
  */
 function key2pt(key) {
-    if (key in key2pt_cache) return key2pt_cache[key];
-    var p = key.split(',').map(function (c) { return parseInt(c) });
-    var pt = {x: p[0], y: p[1], key: key};
-    key2pt_cache[key] = pt;
-    return pt;
+    var i = key.indexOf(',');
+    return {x: parseInt(key.substring(0, i)), y: parseInt(key.substring(i + 1)), key: key};
 }
 
 /**
@@ -67,31 +121,36 @@ function pt2key(pt) {
  * Generates a set of walls based on elevation data
  * Identifies cells with elevation differences that form visual barriers
  * 
- * @param {Object} data - Elevation grid data mapping keys to points with z-values
+ * @param {Uint8Array} data - Elevation grid indexed by y * width + x
+ * @param {number} width - Width of the grid
+ * @param {number} height - Height of the grid
  * @param {number} elevation - Reference elevation value to compare against
- * @returns {Object} Map of coordinate keys to points representing elevation walls
+ * @param {Function|null} logger - Logger the generation time is logged with, null to not log it
+ * @returns {Uint8Array} Grid indexed by y * width + x set to 1 for elevation walls
  */
-function generateElevationWalls(data, elevation) {
+function generateElevationWalls(data, width, height, elevation, logger) {
     var t1 = Date.now();
-    var walls = {};
-    for (var key in data) {
-        var pt = data[key];
-        if (pt.z > elevation) {
-            adjLoop:
-            for (var i = -1; i <= 1; i++) {
-                for (var j = -1; j <= 1; j++) {
-                    if (0 !== i || 0 !== j) {
-                        var k = (pt.x + i) + "," + (pt.y + j);
-                        if (data[k] && data[k].z <= elevation) {
-                            walls[pt.key] = pt;
-                            break adjLoop;
+    var walls = new Uint8Array(width * height);
+    for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x++) {
+            if (data[y * width + x] > elevation) {
+                adjLoop:
+                for (var i = -1; i <= 1; i++) {
+                    for (var j = -1; j <= 1; j++) {
+                        if (0 !== i || 0 !== j) {
+                            var x2 = x + i,
+                                y2 = y + j;
+                            if (x2 >= 0 && x2 < width && y2 >= 0 && y2 < height && data[y2 * width + x2] <= elevation) {
+                                walls[y * width + x] = 1;
+                                break adjLoop;
+                            }
                         }
                     }
                 }
             }
         }
     }
-    console.log('generateElevationWalls', Date.now() - t1 + 'ms');
+    if (logger) logger('generateElevationWalls', Date.now() - t1 + 'ms');
     return walls;
 }
 
@@ -127,22 +186,25 @@ function setWalls(obj, data, id, r) {
 
 /**
  * Sets tree walls based on tree data, considering elevation and tree state
+ * Each cell counts the standing trees that block it at the given elevation
  * 
- * @param {Object} obj - Target object to receive the tree walls
+ * @param {Uint8Array} obj - Target grid indexed by y * width + x to receive the tree wall counts
+ * @param {number} width - Width of the grid
+ * @param {number} height - Height of the grid
  * @param {number} elevation - Current elevation for visibility calculation
  * @param {Object} tree - Map of tree positions
  * @param {Object} tree_elevations - Map of tree elevations
  * @param {Object} tree_state - Map of tree states (standing or cut)
  * @param {Object} tree_blocks - Map of tree blocking areas
  */
-function setTreeWalls(obj, elevation, tree, tree_elevations, tree_state, tree_blocks) {
+function setTreeWalls(obj, width, height, elevation, tree, tree_elevations, tree_state, tree_blocks) {
     for (var i in tree) {
         if (elevation < tree_elevations[i]) {
             if (tree_state[i]) {
-                //obj[i] = ['tree', tree[i].x, tree[i].y, Math.SQRT2];
                 tree_blocks[i].forEach(function (pt) {
-                    var k = pt.x + "," + pt.y;
-                    obj[k] = (obj[k] || []).concat([['tree', tree[i].x, tree[i].y, Math.SQRT2]]);
+                    if (pt.x >= 0 && pt.x < width && pt.y >= 0 && pt.y < height) {
+                        obj[pt.y * width + pt.x]++;
+                    }
                 });
             }
         }
@@ -150,387 +212,1941 @@ function setTreeWalls(obj, elevation, tree, tree_elevations, tree_state, tree_bl
 }
 
 /**
- * Parses an image using the ImageHandler to extract map data
- * 
- * @param {ImageHandler} imageHandler - Handler for the image data
- * @param {number} offset - X offset in the image to start scanning from
- * @param {number} width - Width of the area to scan
- * @param {number} height - Height of the area to scan
- * @param {Function} pixelHandler - Function to process each pixel's data
- * @returns {Object} Grid object with the processed data
- */
-function parseImage(imageHandler, offset, width, height, pixelHandler) {
-    var grid = {};
-    imageHandler.scan(offset, width, height, pixelHandler, grid);
-    return grid;
-}
-
-/**
- * VisionSimulation class for Dota 2
- * Simulates the field of view and visibility mechanics from the game
+ * Creates the callback that determines if light passes through a cell
+ * Used by the ROT.js FOV calculation for a viewer standing at the given elevation
  * 
- * @constructor
- * @param {Object} worlddata - World boundaries for the map
- * @param {number} worlddata.worldMinX - Minimum X coordinate of the world
- * @param {number} worlddata.worldMinY - Minimum Y coordinate of the world
- * @param {number} worlddata.worldMaxX - Maximum X coordinate of the world
- * @param {number} worlddata.worldMaxY - Maximum Y coordinate of the world
- * @param {Object} [opts] - Optional configuration settings
- * @param {number} [opts.radius] - Vision radius in grid tiles (default: 1600/64)
+ * @param {VisionSimulation} vs - Vision simulation holding the map layers
+ * @param {number} elevation - Elevation of the viewer
+ * @returns {Function} Callback taking x, y grid coordinates and returning true if light can pass through the cell
  */
-function VisionSimulation(worlddata, opts) {
-    var self = this;
-    
-    this.opts = opts || {};
-    this.radius = this.opts.radius || parseInt(1600 / 64);
-    this.worldMinX = worlddata.worldMinX;
-    this.worldMinY = worlddata.worldMinY;
-    this.worldMaxX = worlddata.worldMaxX;
-    this.worldMaxY = worlddata.worldMaxY;
-    this.worldWidth = this.worldMaxX - this.worldMinX;
-    this.worldHeight = this.worldMaxY - this.worldMinY;
-    this.gridWidth = this.worldWidth / 64 + 1;
-    this.gridHeight = this.worldHeight / 64 + 1;
-    this.ready = false;
-
-    /**
-     * Callback function that determines if light passes through a cell
-     * Used by the ROT.js FOV calculation
-     * 
-     * @param {number} x - X coordinate to check
-     * @param {number} y - Y coordinate to check
-     * @returns {boolean} True if light can pass through this cell
-     * @private
-     */
-    this.lightPassesCallback = function (x, y) {
-        var key = x + ',' + y;
-        return !(key in self.elevationWalls[self.elevation]) && !(key in self.ent_fow_blocker_node) && !(key in self.treeWalls[self.elevation] && self.treeWalls[self.elevation][key].length > 0) ;
+function createLightPassesCallback(vs, elevation) {
+    var elevationWalls = vs.elevationWalls[elevation],
+        treeWalls = vs.treeWalls[elevation],
+        fowBlockers = vs.ent_fow_blocker_node,
+        obstacleTops = vs.obstacleTops,
+        width = vs.gridWidth,
+        height = vs.gridHeight;
+    return function (x, y) {
+        if (x < 0 || x >= width || y < 0 || y >= height) return true;
+        var i = y * width + x;
+        return !elevationWalls[i] && !fowBlockers[i] && !treeWalls[i] && !(obstacleTops[i] > elevation);
     }
-    
-    /**
-     * Field of view calculator using precise shadowcasting
-     * @type {ROT.FOV.PreciseShadowcasting}
-     * @private
-     */
-    this.fov = new ROT.FOV.PreciseShadowcasting(this.lightPassesCallback, {topology:8});
 }
 
 /**
- * Initializes the vision simulation with map data
- * Loads and processes the map image to extract terrain information
+ * Creates the callback that lists the tree walls of a cell
+ * Used by the ROT.js FOV calculation for a viewer standing at the given elevation
  * 
- * @param {string} mapDataImagePath - Path to the map data image
- * @param {Function} onReady - Callback executed when initialization is complete
- * @param {Error} onReady.err - Error object if initialization fails, null on success
+ * @param {VisionSimulation} vs - Vision simulation holding the map layers
+ * @param {number} elevation - Elevation of the viewer
+ * @returns {Function} Callback taking x, y grid coordinates and returning the cell's walls, or undefined if it has none.
+ * A tree wall is ['tree', x, y, radius, index] with the tree's origin and index in treeOrigins
  */
-VisionSimulation.prototype.initialize = function (mapDataImagePath, onReady) {
-    var self = this;
-    this.ready = false;
-    this.grid = [];
-    this.gridnav = null;
-    this.ent_fow_blocker_node = null;
-    this.tools_no_wards = null;
-    this.elevationValues = [];
-    this.elevationGrid = null;
-    this.elevationWalls = {};
-    this.treeWalls = {};
-    this.tree = {}; // center key to point map
-    this.tree_blocks = {}; // center to corners map
-    this.tree_relations = {}; // corner to center map
-    this.tree_elevations = {};
-    this.tree_state = {};
-    this.walls = {};
-    this.lights = {};
-    this.area = 0;
-    if (this.imageHandler) this.imageHandler.disable();
-    this.imageHandler = new ImageHandler(mapDataImagePath);
-    var t1 = Date.now();
-    this.imageHandler.load(function (err) {
-        if (!err) {
-            var t2 = Date.now();
-            console.log('image load', t2 - t1 + 'ms');
-            self.gridnav = parseImage(self.imageHandler, self.gridWidth * 2, self.gridWidth, self.gridHeight, self.blackPixelHandler.bind(self));
-            self.ent_fow_blocker_node = parseImage(self.imageHandler, self.gridWidth * 3, self.gridWidth, self.gridHeight, self.blackPixelHandler.bind(self));
-            self.tools_no_wards = parseImage(self.imageHandler, self.gridWidth * 4, self.gridWidth, self.gridHeight, self.blackPixelHandler.bind(self));
-            parseImage(self.imageHandler, self.gridWidth, self.gridWidth, self.gridHeight, self.treeElevationPixelHandler.bind(self));
-            self.elevationGrid = parseImage(self.imageHandler, 0, self.gridWidth, self.gridHeight, self.elevationPixelHandler.bind(self));
-            var t3 = Date.now();
-            console.log('image process', t3 - t2 + 'ms');
-            self.elevationValues.forEach(function (elevation) {
-                //self.elevationWalls[elevation] = generateElevationWalls(self.elevationGrid, elevation);
-                self.treeWalls[elevation] = {};
-                setTreeWalls(self.treeWalls[elevation], elevation, self.tree, self.tree_elevations, self.tree_state, self.tree_blocks)
-            });
-            var t4 = Date.now();
-            console.log('walls generation', t4 - t3 + 'ms');
-            for (var i = 0; i < self.gridWidth; i++) {
-                self.grid[i] = [];
-                for (var j = 0; j < self.gridHeight; j++) {
-                    var pt = xy2pt(i, j);
-                    key2pt_cache[pt.key] = pt;
-                    self.grid[i].push(pt);
-                }
+function createGetWallsCallback(vs, elevation) {
+    var treeWalls = vs.treeWalls[elevation],
+        obstacleTops = vs.obstacleTops,
+        width = vs.gridWidth,
+        height = vs.gridHeight;
+    return function (x, y) {
+        // cells covered by an obstacle have no tree walls, so they block like any other wall cell
+        if (x < 0 || x >= width || y < 0 || y >= height || !treeWalls[y * width + x] || obstacleTops[y * width + x] > elevation) return;
+        var walls = [],
+            treePts = vs.treeCells[y * width + x];
+        for (var i = 0; i < treePts.length; i++) {
+            var treePt = treePts[i];
+            if (vs.treeStanding[treePt.index] && vs.treeTops[treePt.index] > elevation) {
+                walls.push(['tree', treePt.x, treePt.y, Math.SQRT2, treePt.index]);
             }
-            var t5 = Date.now();
-            console.log('cache prime', t5 - t4 + 'ms');
-            self.ready = true;
         }
-        onReady(err);
-    });
+        return walls;
+    }
 }
 
 /**
- * Handler for black pixels in the map data image
- * Used to identify navigation blockers, FOW blockers, and no-ward areas
+ * Creates the ROT.js FOV used to compute the visibility of a viewer
+ * Generates the elevation walls of the viewer's elevation if they do not exist yet
  * 
- * @param {number} x - X coordinate in the image
- * @param {number} y - Y coordinate in the image
- * @param {Array<number>} p - RGB values of the pixel
- * @param {Object} grid - Target grid to store the result
+ * @param {VisionSimulation} vs - Vision simulation holding the map layers
+ * @param {number} elevation - Elevation of the viewer
+ * @param {boolean} flying - Whether the viewer has flying vision, which is only limited by the radius
+ * @returns {ROT.FOV.PreciseShadowcasting} FOV instance
  */
-VisionSimulation.prototype.blackPixelHandler = function (x, y, p, grid) {
-    var pt = this.ImageXYtoGridXY(x, y);
-    if (p[0] === 0) {
-        grid[pt.x + "," + pt.y] = pt;
+function createFov(vs, elevation, flying) {
+    var fov;
+    if (flying) {
+        fov = new ROT.FOV.PreciseShadowcasting(function () { return true; }, {topology:8});
+        fov.getWalls = function () {};
     }
+    else {
+        if (!vs.elevationWalls[elevation]) vs.elevationWalls[elevation] = generateElevationWalls(vs.elevationGrid, vs.gridWidth, vs.gridHeight, elevation, vs.logger);
+        fov = new ROT.FOV.PreciseShadowcasting(createLightPassesCallback(vs, elevation), {topology:8});
+        fov.getWalls = createGetWallsCallback(vs, elevation);
+    }
+    return fov;
 }
 
 /**
- * Handler for elevation pixels in the map data image
- * Extracts elevation data from pixel brightness values
+ * Checks if a cell reached by the FOV is lit for a ground viewer
+ * Cells with a fog blocker or a standing tree above the viewer's elevation stay dark
  * 
- * @param {number} x - X coordinate in the image
- * @param {number} y - Y coordinate in the image
- * @param {Array<number>} p - RGB values of the pixel
- * @param {Object} grid - Target grid to store the result
+ * @param {VisionSimulation} vs - Vision simulation holding the map layers
+ * @param {number} x - X coordinate of the cell
+ * @param {number} y - Y coordinate of the cell
+ * @param {number} elevation - Elevation of the viewer
+ * @returns {boolean} True if the cell is lit
  */
-VisionSimulation.prototype.elevationPixelHandler = function (x, y, p, grid) {
-    var pt = this.ImageXYtoGridXY(x, y);
-    pt.z = p[0];
-    grid[pt.x + "," + pt.y] = pt;
-    if (this.elevationValues.indexOf(p[0]) == -1) {
-        this.elevationValues.push(p[0]);
+function isCellLit(vs, x, y, elevation) {
+    var index = y * vs.gridWidth + x;
+    if (vs.ent_fow_blocker_node[index]) return false;
+    var treePts = vs.treeCells[index];
+    if (treePts) {
+        for (var i = 0; i < treePts.length; i++) {
+            var treePt = treePts[i];
+            if (vs.treeStanding[treePt.index] && vs.treeTops[treePt.index] > elevation) return false;
+        }
     }
+    return true;
 }
 
 /**
- * Handler for tree elevation pixels in the map data image
- * Extracts tree positions and their elevation data
+ * Creates the frozen result of a visibility computation
+ * The lights map keyed by "x,y" strings is only built when it is first read,
+ * so callers that only need lightIndexes or lightArea never build a string per lit cell
  * 
- * @param {number} x - X coordinate in the image
- * @param {number} y - Y coordinate in the image
- * @param {Array<number>} p - RGB values of the pixel
- * @param {Object} grid - Target grid to store the result
+ * @param {VisionSimulation} vs - Vision simulation holding the map layers
+ * @param {Object} source - Computed source with x, y, radius, flying and elevation properties
+ * @param {Array<number>} lightIndexes - Flat grid indices of the lit cells
+ * @param {number|undefined} area - Number of cells analyzed by the FOV, undefined if it stopped early
+ * @returns {Object} Frozen result with x, y, radius, flying, elevation, lights, lightIndexes, area and lightArea properties
  */
-VisionSimulation.prototype.treeElevationPixelHandler = function (x, y, p, grid) {
-    var self = this;
-    var pt = this.ImageXYtoGridXY(x, y);
-    if (p[1] == 0 && p[2] == 0) {
-        // trees are 2x2 in grid
-        // tree origins rounded up when converted to grid, so they represent top right corner. subtract 0.5 to get grid origin
-        var treeOrigin = xy2pt(pt.x - 0.5, pt.y - 0.5);
-        var treeElevation = p[0] + 40;
-        var kC = treeOrigin.key;
-        this.tree[kC] = treeOrigin;
-        this.tree_elevations[kC] = treeElevation;
-        this.tree_blocks[kC] = [];
-        this.tree_state[kC] = true;
-        // iterate through tree 2x2 by taking floor and ceil of tree grid origin
-        [Math.floor, Math.ceil].forEach(function (i) {
-            [Math.floor, Math.ceil].forEach(function (j) {
-                var treeCorner = xy2pt(i(treeOrigin.x), j(treeOrigin.y));
-                self.tree_relations[treeCorner.key] = (self.tree_relations[treeCorner.key] || []).concat(treeOrigin);
-                self.tree_blocks[kC].push(treeCorner);
-            });
-        });
-    }
+function createResult(vs, source, lightIndexes, area) {
+    var width = vs.gridWidth,
+        lights = null,
+        result = {
+            x: source.x,
+            y: source.y,
+            radius: source.radius,
+            flying: source.flying,
+            elevation: source.elevation,
+            lightIndexes: Object.freeze(lightIndexes),
+            area: area,
+            lightArea: lightIndexes.length
+        };
+    Object.defineProperty(result, 'lights', {
+        enumerable: true,
+        get: function () {
+            if (!lights) {
+                lights = {};
+                for (var i = 0; i < lightIndexes.length; i++) {
+                    var x = lightIndexes[i] % width;
+                    lights[xy2key(x, (lightIndexes[i] - x) / width)] = 255;
+                }
+                Object.freeze(lights);
+            }
+            return lights;
+        }
+    });
+    return Object.freeze(result);
 }
 
 /**
- * Updates the visibility from a specific grid position
- * Calculates which cells are visible from the given coordinates
+ * Computes the visibility from a grid position
  * 
+ * @param {VisionSimulation} vs - Vision simulation holding the map layers
  * @param {number} gX - X coordinate in the grid
  * @param {number} gY - Y coordinate in the grid
- * @param {number} [radius] - Vision radius, defaults to the instance's radius setting
+ * @param {Object} opts - Vision source options, as accepted by computeVisibility
+ * @param {Array} [ringShadows] - Array receiving the shadows at the start of each ring, for computeTreeUpdate
+ * @returns {Object} Frozen result with x, y, radius, flying, elevation, lights, lightIndexes, area and lightArea properties
  */
-VisionSimulation.prototype.updateVisibility = function (gX, gY, radius) {
-    var self = this,
-        key = xy2key(gX, gY);
-
-    radius = radius || self.radius;
-    this.elevation = this.elevationGrid[key].z;
-    this.walls = this.treeWalls[this.elevation];
-    if (!this.elevationWalls[this.elevation]) this.elevationWalls[this.elevation] = generateElevationWalls(this.elevationGrid, this.elevation);
-    //setElevationWalls(this.walls, this.elevationWalls, this.elevation)
-    //setWalls(this.walls, this.ent_fow_blocker_node);
-    //setWalls(this.walls, this.tools_no_wards);
-    //setTreeWalls(this.walls, this.elevation, this.tree, this.tree_elevations, this.tree_state, this.tree_blocks);
-
-    this.fov.walls = this.walls;
-    this.lights = {};
-    this.area = this.fov.compute(gX, gY, radius, function(x2, y2, r, vis) {
-        var key = xy2key(x2, y2);
-        if (!self.elevationGrid[key]) return;
-        var treePts = self.tree_relations[key];
-        var treeBlocking = false;
-        if (treePts) {
-            for (var i = 0; i < treePts.length; i++) {
-                var treePt = treePts[i];
-                treeBlocking = self.tree_state[treePt.key] && self.tree_elevations[treePt.key] > self.elevation;
-                if (treeBlocking) break;
+function computeResult(vs, gX, gY, opts, ringShadows) {
+    var width = vs.gridWidth,
+        height = vs.gridHeight,
+        radius = vs.getSourceRadius(opts),
+        flying = !!opts.flying,
+        elevation = vs.getElevation(gX, gY),
+        lit = new Uint8Array(width * height), // the cells around the viewer are called back more than once
+        lightIndexes = [],
+        fov,
+        area;
+
+    if (elevation === undefined) throw new Error('Position out of bounds: ' + gX + ',' + gY);
+
+    fov = createFov(vs, elevation, flying);
+    fov.ringShadows = ringShadows || null;
+    area = fov.compute(gX, gY, radius, function(x2, y2, r, vis) {
+        if (vis == 1 && x2 >= 0 && x2 < width && y2 >= 0 && y2 < height && (flying || isCellLit(vs, x2, y2, elevation))) {
+            var i = y2 * width + x2;
+            if (!lit[i]) {
+                lit[i] = 1;
+                lightIndexes.push(i);
             }
         }
-        if (vis == 1 && !self.ent_fow_blocker_node[key] && !treeBlocking) {
-            self.lights[key] = 255;
-        }
     });
-    this.lightArea = Object.keys(this.lights).length;
+
+    return createResult(vs, {x: gX, y: gY, radius: radius, flying: flying, elevation: elevation}, lightIndexes, area);
 }
 
 /**
- * Checks if a grid position is valid based on various criteria
- * Can check for gridnav blockers, ward placement restrictions, and tree blockers
+ * Recomputes a visibility result after trees were grown or destroyed
+ * The FOV analyzes cells in square rings around the viewer, and a tree cannot change anything before the
+ * ring of its nearest cell. The lit cells of the earlier rings are kept, and the FOV resumes at that ring
+ * from the shadows recorded when the previous result was computed, so the result is the same as a full computation
  * 
- * @param {number} x - X coordinate in the grid
- * @param {number} y - Y coordinate in the grid
- * @param {boolean} [bCheckGridnav=false] - Whether to check if position is blocked by gridnav
- * @param {boolean} [bCheckToolsNoWards=false] - Whether to check if ward placement is restricted
- * @param {boolean} [bCheckTreeState=false] - Whether to check if position is blocked by trees
- * @returns {boolean} True if the position is valid based on all specified criteria
+ * @param {VisionSimulation} vs - Vision simulation holding the map layers
+ * @param {Object} previous - Result computed before the trees changed
+ * @param {Array} ringShadows - Shadows at the start of each ring recorded while computing the previous result,
+ * updated with the shadows of the recomputed rings
+ * @param {Array<string>} treeKeys - Keys of the tree origins that changed
+ * @returns {Object|null} Updated result, or null if it has to be computed in full: when a tree is within
+ * the cells the FOV always lights around the viewer, or the previous computation stopped early
  */
-VisionSimulation.prototype.isValidXY = function (x, y, bCheckGridnav, bCheckToolsNoWards, bCheckTreeState) {
-    if (!this.ready) return false;
-    
-    var key = xy2key(x, y),
-        treeBlocking = false;
-        
-    if (bCheckTreeState) {
-        var treePts = this.tree_relations[key];
-        if (treePts) {
-            for (var i = 0; i < treePts.length; i++) {
-                var treePt = treePts[i];
-                treeBlocking = this.tree_state[treePt.key];
-                if (treeBlocking) break;
+function computeTreeUpdate(vs, previous, ringShadows, treeKeys) {
+    var gX = previous.x,
+        gY = previous.y,
+        elevation = previous.elevation,
+        startRing = Infinity;
+
+    // flying vision ignores trees, and trees no higher than the viewer neither block nor hide cells
+    for (var i = 0; i < treeKeys.length; i++) {
+        if (previous.flying || !(vs.tree_elevations[treeKeys[i]] > elevation)) continue;
+        vs.tree_blocks[treeKeys[i]].forEach(function (pt) {
+            startRing = Math.min(startRing, Math.max(Math.abs(pt.x - gX), Math.abs(pt.y - gY)));
+        });
+    }
+    // compute always reaches the first two rings, whatever the radius, so trees there need a full computation
+    if (startRing <= 2) return null;
+    if (startRing >= previous.radius) return previous;
+    if (previous.area === undefined || !ringShadows[startRing - 1]) return null;
+
+    var width = vs.gridWidth,
+        height = vs.gridHeight,
+        lit = new Uint8Array(width * height),
+        lightIndexes = [],
+        fov = createFov(vs, elevation, false);
+
+    previous.lightIndexes.forEach(function (i) {
+        var x = i % width,
+            y = (i - x) / width;
+        if (Math.max(Math.abs(x - gX), Math.abs(y - gY)) < startRing) {
+            lit[i] = 1;
+            lightIndexes.push(i);
+        }
+    });
+
+    fov.resumeFrom = ringShadows[startRing - 1];
+    fov.ringShadows = ringShadows;
+    ringShadows.length = startRing - 1;
+    var area = fov.compute(gX, gY, previous.radius, function (x2, y2, r, vis) {
+        if (vis == 1 && x2 >= 0 && x2 < width && y2 >= 0 && y2 < height &&
+            Math.max(Math.abs(x2 - gX), Math.abs(y2 - gY)) >= startRing && isCellLit(vs, x2, y2, elevation)) {
+            var i = y2 * width + x2;
+            if (!lit[i]) {
+                lit[i] = 1;
+                lightIndexes.push(i);
             }
         }
-    }
-    
-    return x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight && (!bCheckGridnav || !this.gridnav[key]) && (!bCheckToolsNoWards || !this.tools_no_wards[key]) && (!bCheckTreeState || !treeBlocking);
+    });
+
+    // compute stops early, without returning the area, when it decides everything else is in shadow
+    return createResult(vs, previous, lightIndexes, area === undefined ? undefined : previous.area);
 }
 
 /**
- * Toggles the state of a tree at the specified grid coordinates
- * Trees can be standing (blocking vision) or cut down (not blocking)
+ * Returns the flat grid indices of the cells covered by an obstacle footprint
+ * A cell is covered when its center lies inside the circle or polygon, where points on the right and top
+ * edges of a polygon are outside so adjacent polygons never cover a cell twice,
+ * and a footprint too small to cover any cell center covers the cell nearest to its center
  * 
- * @param {number} x - X coordinate in the grid
- * @param {number} y - Y coordinate in the grid
- * @returns {boolean} True if there was a tree at the position that was toggled
+ * @param {VisionSimulation} vs - Vision simulation holding the map layers
+ * @param {Object} obstacle - Obstacle with x, y and radius properties, or a points list of {x, y} polygon vertices
+ * @returns {Array<number>} Indices of the covered cells
  */
-VisionSimulation.prototype.toggleTree = function (x, y) {
-    var self = this;
-    var key = xy2key(x, y);
-    var isTree = !!this.tree_relations[key];
-    if (isTree) {
-        var treePts = this.tree_relations[key];
-        for (var i = 0; i < treePts.length; i++) {
-            var pt = treePts[i];
-            this.tree_state[pt.key] = !this.tree_state[pt.key];
-            
-            this.elevationValues.forEach(function (elevation) {
-                if (elevation < self.tree_elevations[pt.key]) {
-                    self.tree_blocks[pt.key].forEach(function (ptB) {
-                        for (var j = self.treeWalls[elevation][ptB.key].length - 1; j >= 0; j--) {
-                            if (pt.x == self.treeWalls[elevation][ptB.key][j][1] && pt.y == self.treeWalls[elevation][ptB.key][j][2]) {
-                                self.treeWalls[elevation][ptB.key].splice(j, 1);
-                            }
-                        }
-                    });
-                    if (self.tree_state[pt.key]) {
-                        self.tree_blocks[pt.key].forEach(function (ptB) {
-                            self.treeWalls[elevation][ptB.key] = (self.treeWalls[elevation][ptB.key] || []).concat([['tree', pt.x, pt.y, Math.SQRT2]]);
-                        });
-                    }
-                }
-            });
+function rasterizeFootprint(vs, obstacle) {
+    var cells = [],
+        points = obstacle.points,
+        minX, minY, maxX, maxY, cx, cy, inside, index;
+
+    if (points) {
+        minX = maxX = cx = points[0].x;
+        minY = maxY = cy = points[0].y;
+        for (var i = 1; i < points.length; i++) {
+            minX = Math.min(minX, points[i].x);
+            maxX = Math.max(maxX, points[i].x);
+            minY = Math.min(minY, points[i].y);
+            maxY = Math.max(maxY, points[i].y);
         }
+        cx = (minX + maxX) / 2;
+        cy = (minY + maxY) / 2;
+        // even-odd rule
+        inside = function (x, y) {
+            var result = false;
+            for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+                var a = points[i], b = points[j];
+                if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) result = !result;
+            }
+            return result;
+        };
+    }
+    else {
+        cx = obstacle.x;
+        cy = obstacle.y;
+        minX = cx - obstacle.radius;
+        maxX = cx + obstacle.radius;
+        minY = cy - obstacle.radius;
+        maxY = cy + obstacle.radius;
+        inside = function (x, y) {
+            return (x - cx) * (x - cx) + (y - cy) * (y - cy) <= obstacle.radius * obstacle.radius;
+        };
     }
 
-    return isTree;
+    for (var y = Math.max(0, Math.ceil(minY)); y <= Math.min(vs.gridHeight - 1, Math.floor(maxY)); y++) {
+        for (var x = Math.max(0, Math.ceil(minX)); x <= Math.min(vs.gridWidth - 1, Math.floor(maxX)); x++) {
+            if (inside(x, y)) cells.push(y * vs.gridWidth + x);
+        }
+    }
+    if (!cells.length) {
+        index = vs.xy2index(Math.round(cx), Math.round(cy));
+        if (index !== -1) cells.push(index);
+    }
+    return cells;
 }
 
 /**
- * Sets the vision radius for the simulation
+ * Encodes a grid layer as a base64 string
  * 
- * @param {number} r - New radius value in grid tiles
+ * @param {Uint8Array} layer - Grid layer
+ * @returns {string} Base64 encoded layer bytes
  */
-VisionSimulation.prototype.setRadius = function (r) {
-    this.radius = r;
+function encodeLayer(layer) {
+    return Buffer.from(layer.buffer, layer.byteOffset, layer.byteLength).toString('base64');
 }
 
 /**
- * Converts world coordinates to grid coordinates
+ * Decodes a grid layer from a base64 string
+ * Layers that are already typed arrays are returned as they are, so they are shared rather than copied
  * 
- * @param {number} wX - X coordinate in world space
- * @param {number} wY - Y coordinate in world space
- * @param {boolean} [bNoRound=false] - Whether to return exact coordinates or round to integers
- * @returns {Object} Point object with grid coordinates
+ * @param {string|Uint8Array} data - Base64 encoded layer bytes, or the layer itself
+ * @param {number} size - Expected number of cells in the layer
+ * @returns {Uint8Array} Grid layer
+ * @throws {Error} If the decoded layer does not have the expected size
  */
-VisionSimulation.prototype.WorldXYtoGridXY = function (wX, wY, bNoRound) {
-    var x = (wX - this.worldMinX) / 64,
-        y = (wY - this.worldMinY) / 64;
-    if (!bNoRound) {
-        x = parseInt(Math.round(x))
-        y = parseInt(Math.round(y))
+function decodeLayer(data, size) {
+    if (data instanceof Uint8Array) {
+        if (data.length !== size) throw new Error('Invalid map data layer size: expected ' + size + ', got ' + data.length);
+        return data;
     }
-    return {x: x, y: y, key: x + ',' + y};
+    var bytes = Buffer.from(data, 'base64');
+    if (bytes.length !== size) throw new Error('Invalid map data layer size: expected ' + size + ', got ' + bytes.length);
+    var layer = new Uint8Array(size);
+    layer.set(bytes);
+    return layer;
 }
 
 /**
- * Converts grid coordinates to world coordinates
+ * Copies the defined properties of an object
  * 
- * @param {number} gX - X coordinate in the grid
- * @param {number} gY - Y coordinate in the grid
- * @returns {Object} Point object with world coordinates
+ * @param {Object} obj - Object to copy
+ * @param {Array<string>} fields - Names of the properties to copy
+ * @returns {Object} Copy with the properties of obj that are neither undefined nor null
  */
-VisionSimulation.prototype.GridXYtoWorldXY = function (gX, gY) {
-    return {x: gX * 64 + this.worldMinX, y: gY * 64 + this.worldMinY};
+function pickFields(obj, fields) {
+    var copy = {};
+    fields.forEach(function (name) {
+        if (obj[name] !== undefined && obj[name] !== null) copy[name] = obj[name];
+    });
+    return copy;
 }
 
 /**
- * Converts grid coordinates to image coordinates
- * Accounts for the y-axis flip between grid and image space
+ * Updates the visibility of vision sources with updateVisibility for a single plain source,
+ * as stored by updateVisibility, or with updateMultiVisibility otherwise
  * 
- * @param {number} gX - X coordinate in the grid
- * @param {number} gY - Y coordinate in the grid
- * @returns {Object} Point object with image coordinates
+ * @param {VisionSimulation} vs - Vision simulation to update
+ * @param {Array<Object>} sources - Vision sources in the form of the sources property
+ * @private
  */
-VisionSimulation.prototype.GridXYtoImageXY = function (gX, gY) {
-    return {x: gX, y: this.gridHeight - gY - 1};
+function updateSources(vs, sources) {
+    if (sources.length === 1 && sources[0].id === undefined && sources[0].dayRadius === undefined && sources[0].nightRadius === undefined) {
+        vs.updateVisibility(sources[0].x, sources[0].y, sources[0].radius, sources[0].flying);
+    }
+    else if (sources.length) {
+        vs.updateMultiVisibility(sources);
+    }
+    else {
+        vs.sources = [];
+    }
 }
 
 /**
- * Converts image coordinates to grid coordinates
- * Accounts for the y-axis flip between image and grid space
+ * Emits a visibilitychange event with the added and removed cells and netArea of diffVisibility,
+ * unless no listener is registered or the visible cells did not change
  * 
- * @param {number} x - X coordinate in the image
- * @param {number} y - Y coordinate in the image
- * @returns {Object} Point object with grid coordinates and key
+ * @param {VisionSimulation} vs - Vision simulation emitting the event
+ * @param {Object} event - Event data with the lights and previousLights maps
+ * @private
  */
-VisionSimulation.prototype.ImageXYtoGridXY = function (x, y) {
-    var gY = this.gridHeight - y - 1;
-    return {x: x, y: gY, key: x + ',' + gY};
+function emitVisibilityChange(vs, event) {
+    if (!vs.listenerCount('visibilitychange')) return;
+    var diff = VisionSimulation.diffVisibility(event.previousLights || {}, event.lights);
+    if (!diff.addedArea && !diff.removedArea) return;
+    event.added = diff.added;
+    event.removed = diff.removed;
+    event.netArea = diff.netArea;
+    vs.emit('visibilitychange', event);
 }
 
 /**
- * Converts world coordinates to image coordinates
- * Combines WorldXYtoGridXY and GridXYtoImageXY conversions
+ * Packs the properties of an object into an array, in the order of the field names
+ * Missing properties are null, and trailing missing properties are left out
  * 
- * @param {number} wX - X coordinate in world space
- * @param {number} wY - Y coordinate in world space
- * @returns {Object} Point object with image coordinates
+ * @param {Object} obj - Object to pack
+ * @param {Array<string>} fields - Names of the properties to pack
+ * @returns {Array} Packed property values
  */
-VisionSimulation.prototype.WorldXYtoImageXY = function (wX, wY) {
+function packFields(obj, fields) {
+    var values = fields.map(function (name) {
+        return obj[name] !== undefined ? obj[name] : null;
+    });
+    while (values.length && values[values.length - 1] === null) values.pop();
+    return values;
+}
+
+/**
+ * Unpacks an array produced by packFields
+ * 
+ * @param {Array} values - Packed property values
+ * @param {Array<string>} fields - Names of the packed properties
+ * @returns {Object} Object with the properties that are not null
+ */
+function unpackFields(values, fields) {
+    var obj = {};
+    fields.forEach(function (name, i) {
+        if (values[i] !== undefined && values[i] !== null) obj[name] = values[i];
+    });
+    return obj;
+}
+
+/**
+ * Encodes a string as URL-safe base64 without padding
+ * 
+ * @param {string} str - String to encode
+ * @returns {string} Base64url encoded UTF-8 bytes
+ */
+function encodeBase64Url(str) {
+    return Buffer.from(str, 'utf8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a string encoded by encodeBase64Url
+ * 
+ * @param {string} data - Base64url encoded UTF-8 bytes
+ * @returns {string} Decoded string
+ */
+function decodeBase64Url(data) {
+    return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+/**
+ * Packs a simulation state into its compact string form
+ * Cut trees are stored by their index in the tree map, as gaps between sorted indexes
+ * 
+ * @param {VisionSimulation} vs - Simulation the state was exported from
+ * @param {Object} state - State returned by exportState
+ * @returns {string} Version, a dot and the base64url encoded packed state
+ */
+function packState(vs, state) {
+    var treeIndexes = {},
+        trees = [],
+        last = 0;
+    Object.keys(vs.tree).forEach(function (treeKey, i) {
+        treeIndexes[treeKey] = i;
+    });
+    state.trees.slice().sort(function (a, b) {
+        return treeIndexes[a.key] - treeIndexes[b.key];
+    }).forEach(function (tree) {
+        trees.push(treeIndexes[tree.key] - last, tree.cutTime, tree.regrowTime - tree.cutTime);
+        last = treeIndexes[tree.key];
+    });
+    var packed = [
+        state.treeCount,
+        state.time,
+        state.radius,
+        state.nightRadius,
+        state.timeOfDay === VisionSimulation.NIGHT ? 1 : 0,
+        trees,
+        state.sources.map(function (source) {
+            return packFields(source, STATE_SOURCE_FIELDS);
+        }),
+        state.obstacles.map(function (obstacle) {
+            return packFields(obstacle, STATE_OBSTACLE_FIELDS);
+        }),
+        state.nextObstacleId
+    ];
+    return state.version + '.' + encodeBase64Url(JSON.stringify(packed));
+}
+
+/**
+ * Unpacks the compact string form of a simulation state
+ * 
+ * @param {VisionSimulation} vs - Simulation the state is imported into
+ * @param {string} str - Compact state produced by packState
+ * @returns {Object} State in the form returned by exportState
+ * @throws {Error} If the string is not a compact state or has an unsupported version
+ */
+function unpackState(vs, str) {
+    var dot = str.indexOf('.'),
+        version = parseInt(str.substring(0, dot)),
+        packed;
+    if (dot < 1 || isNaN(version)) throw new Error('Invalid state format');
+    if (version !== STATE_VERSION) throw new Error('Unsupported state version: ' + version);
+    try {
+        packed = JSON.parse(decodeBase64Url(str.substring(dot + 1)));
+    }
+    catch (e) {
+        throw new Error('Invalid state format');
+    }
+    if (!Array.isArray(packed) || packed.length !== 9 || (packed[4] !== 0 && packed[4] !== 1) ||
+        !Array.isArray(packed[5]) || packed[5].length % 3 !== 0 || !packed[5].every(isFiniteNumber) ||
+        !Array.isArray(packed[6]) || !packed[6].every(Array.isArray) || !Array.isArray(packed[7]) || !packed[7].every(Array.isArray)) {
+        throw new Error('Invalid state format');
+    }
+
+    var treeKeys = Object.keys(vs.tree),
+        trees = [],
+        index = 0;
+    for (var i = 0; i < packed[5].length; i += 3) {
+        index += packed[5][i];
+        trees.push({key: treeKeys[index], cutTime: packed[5][i + 1], regrowTime: packed[5][i + 1] + packed[5][i + 2]});
+    }
+    return {
+        format: STATE_FORMAT,
+        version: version,
+        treeCount: packed[0],
+        time: packed[1],
+        radius: packed[2],
+        nightRadius: packed[3],
+        timeOfDay: packed[4] ? VisionSimulation.NIGHT : VisionSimulation.DAY,
+        trees: trees,
+        sources: packed[6].map(function (values) {
+            return unpackFields(values, STATE_SOURCE_FIELDS);
+        }),
+        obstacles: packed[7].map(function (values) {
+            return unpackFields(values, STATE_OBSTACLE_FIELDS);
+        }),
+        nextObstacleId: packed[8]
+    };
+}
+
+/**
+ * Checks whether a value is a finite number
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a number other than NaN and Infinity
+ */
+function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Checks a state in the form returned by exportState before it is imported,
+ * so an invalid state is rejected before anything is changed
+ * 
+ * @param {VisionSimulation} vs - Simulation the state is imported into
+ * @param {Object} state - State to check
+ * @throws {Error} If the state has an unknown format or a missing or invalid field, or was saved for a different map
+ */
+function validateState(vs, state) {
+    function check(bValid, field) {
+        if (!bValid) throw new Error('Invalid state format: ' + field);
+    }
+    function isOptional(value, test) {
+        return value === undefined || value === null || test(value);
+    }
+    function isId(value) {
+        return typeof value === 'string' || isFiniteNumber(value);
+    }
+    function isPositive(value) {
+        return isFiniteNumber(value) && value > 0;
+    }
+
+    if (!state || typeof state !== 'object' || state.format !== STATE_FORMAT) throw new Error('Invalid state format');
+    if (state.version !== STATE_VERSION) throw new Error('Unsupported state version: ' + state.version);
+    check(isFiniteNumber(state.treeCount), 'treeCount');
+    check(isFiniteNumber(state.time), 'time');
+    check(isPositive(state.radius), 'radius');
+    check(isPositive(state.nightRadius), 'nightRadius');
+    check(state.timeOfDay === VisionSimulation.DAY || state.timeOfDay === VisionSimulation.NIGHT, 'timeOfDay');
+    check(isFiniteNumber(state.nextObstacleId), 'nextObstacleId');
+    check(Array.isArray(state.trees), 'trees');
+    check(Array.isArray(state.sources), 'sources');
+    check(Array.isArray(state.obstacles), 'obstacles');
+
+    state.trees.forEach(function (tree, i) {
+        check(tree && typeof tree.key === 'string' && isFiniteNumber(tree.cutTime) && isFiniteNumber(tree.regrowTime), 'trees[' + i + ']');
+    });
+    state.sources.forEach(function (source, i) {
+        check(source && vs.xy2index(source.x, source.y) !== -1 && isOptional(source.radius, isPositive) &&
+            isOptional(source.dayRadius, isPositive) && isOptional(source.nightRadius, isPositive) &&
+            isOptional(source.flying, function (flying) { return typeof flying === 'boolean'; }) && isOptional(source.id, isId), 'sources[' + i + ']');
+    });
+    state.obstacles.forEach(function (obstacle, i) {
+        check(obstacle && isOptional(obstacle.id, isId) && isOptional(obstacle.height, isFiniteNumber) && isOptional(obstacle.expireTime, isFiniteNumber) &&
+            (obstacle.points ?
+                Array.isArray(obstacle.points) && obstacle.points.length >= 3 && obstacle.points.every(function (pt) {
+                    return Array.isArray(pt) ? pt.length === 2 && isFiniteNumber(pt[0]) && isFiniteNumber(pt[1]) : pt && isFiniteNumber(pt.x) && isFiniteNumber(pt.y);
+                }) :
+                isFiniteNumber(obstacle.x) && isFiniteNumber(obstacle.y) && isFiniteNumber(obstacle.radius) && obstacle.radius >= 0), 'obstacles[' + i + ']');
+    });
+
+    state.trees.forEach(function (tree) {
+        if (!vs.tree.hasOwnProperty(tree.key)) throw new Error('State was saved for a different map');
+    });
+    if (state.treeCount !== Object.keys(vs.tree).length) throw new Error('State was saved for a different map');
+}
+
+/**
+ * Creates an error with a code property
+ * 
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error object
+ */
+function createError(message, code) {
+    var err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Creates the error used to reject an operation cancelled through an AbortSignal
+ * 
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The signal's reason, or an AbortError if it has none
+ */
+function createAbortError(signal) {
+    if (signal.reason !== undefined) return signal.reason;
+    var err = createError('The operation was aborted', 'ABORT_ERR');
+    err.name = 'AbortError';
+    return err;
+}
+
+/**
+ * Parses an image using the ImageHandler to extract map data
+ * 
+ * @param {ImageHandler} imageHandler - Handler for the image data
+ * @param {number} offset - X offset in the image to start scanning from
+ * @param {number} width - Width of the area to scan
+ * @param {number} height - Height of the area to scan
+ * @param {Function} pixelHandler - Function to process each pixel's data
+ * @returns {Uint8Array} Grid indexed by y * width + x with the processed data
+ */
+function parseImage(imageHandler, offset, width, height, pixelHandler) {
+    var grid = new Uint8Array(width * height);
+    imageHandler.scan(offset, width, height, pixelHandler, grid);
+    return grid;
+}
+
+/**
+ * VisionSimulation class for Dota 2
+ * Simulates the field of view and visibility mechanics from the game
+ * 
+ * Emits the following events:
+ * - ready ({source}) when map data finished loading, source is 'image' for initialize or 'mapData' for loadMapData
+ * - treechange ({key, x, y, elevation, blocks, standing, time}) when a tree is cut or regrows
+ * - visibilitychange ({lights, previousLights, added, removed, netArea, lightArea, ...}) when updateVisibility or
+ *   updateMultiVisibility changes the visible cells, with the added, removed and netArea fields of diffVisibility
+ * - timeofdaychange ({timeOfDay, previous}) when setTimeOfDay or importState switches between day and night
+ * - obstaclechange ({type, id, obstacle, previous}) when an obstacle is added ('add'), removed ('remove') or expires ('expire'),
+ *   obstacle is null after a removal and previous is null unless the obstacle replaced or removed an existing one
+ * 
+ * @constructor
+ * @extends EventEmitter
+ * @param {Object} worlddata - World boundaries for the map
+ * @param {number} worlddata.worldMinX - Minimum X coordinate of the world
+ * @param {number} worlddata.worldMinY - Minimum Y coordinate of the world
+ * @param {number} worlddata.worldMaxX - Maximum X coordinate of the world
+ * @param {number} worlddata.worldMaxY - Maximum Y coordinate of the world
+ * @param {Object} [opts] - Optional configuration settings
+ * @param {number} [opts.radius] - Vision radius in grid tiles (default: 1600/64)
+ * @param {number} [opts.nightRadius] - Night vision radius in grid tiles (default: 1000/64)
+ * @param {string} [opts.timeOfDay] - Initial time of day, VisionSimulation.DAY or VisionSimulation.NIGHT (default: day)
+ * @param {number} [opts.treeRegrowTime] - Seconds after which a destroyed tree regrows (default: 300),
+ * 0 regrows destroyed trees on the next clock update
+ * @param {number} [opts.historyLimit] - Number of tree and obstacle edits undo can revert (default: 100)
+ * @param {Function|null} [opts.logger] - Function the map load timings are logged with, called with a label
+ * and a duration (default: console.log), null to not log them
+ */
+function VisionSimulation(worlddata, opts) {
+    EventEmitter.call(this);
+    this.opts = opts || {};
+    this.radius = this.opts.radius || parseInt(1600 / 64);
+    this.nightRadius = this.opts.nightRadius || parseInt(1000 / 64);
+    this.timeOfDay = VisionSimulation.DAY;
+    if (this.opts.timeOfDay) this.setTimeOfDay(this.opts.timeOfDay);
+    this.treeRegrowTime = this.opts.treeRegrowTime === undefined ? 300 : this.opts.treeRegrowTime;
+    this.historyLimit = this.opts.historyLimit || 100;
+    this.logger = this.opts.logger !== undefined ? this.opts.logger : console.log.bind(console);
+    this.time = 0;
+    this.worldMinX = worlddata.worldMinX;
+    this.worldMinY = worlddata.worldMinY;
+    this.worldMaxX = worlddata.worldMaxX;
+    this.worldMaxY = worlddata.worldMaxY;
+    this.worldWidth = this.worldMaxX - this.worldMinX;
+    this.worldHeight = this.worldMaxY - this.worldMinY;
+    this.gridWidth = this.worldWidth / 64 + 1;
+    this.gridHeight = this.worldHeight / 64 + 1;
+    this.ready = false;
+}
+
+VisionSimulation.prototype = Object.create(EventEmitter.prototype);
+VisionSimulation.prototype.constructor = VisionSimulation;
+
+/**
+ * Initializes the vision simulation with map data
+ * Loads and processes the map image to extract terrain information
+ * 
+ * A newer call to initialize, or a call to loadMapData, supersedes a pending one:
+ * the superseded promise rejects with an error whose code is
+ * VisionSimulation.ERR_INITIALIZE_SUPERSEDED and its onReady callback is not called.
+ * A signal that is already aborted rejects without clearing the map that is loaded
+ * 
+ * @param {string|Buffer|ArrayBuffer|Uint8Array|Blob|Object} mapDataImagePath - Path or URL of the map data image,
+ * its encoded PNG bytes, or raw RGBA pixels as an object with data, width and height properties
+ * @param {Function} [onReady] - Callback executed when initialization is complete
+ * @param {Error} onReady.err - Error object if initialization fails, null on success
+ * @param {Object} [opts] - Optional settings, can be passed in place of onReady
+ * @param {AbortSignal} [opts.signal] - Signal that cancels the initialization when aborted
+ * @returns {Promise<VisionSimulation>} Resolves with the simulation once it is ready
+ */
+VisionSimulation.prototype.initialize = function (mapDataImagePath, onReady, opts) {
+    var self = this;
+    if (onReady && typeof onReady === 'object') {
+        opts = onReady;
+        onReady = null;
+    }
+    opts = opts || {};
+    var signal = opts.signal;
+
+    var promise = new Promise(function (resolve, reject) {
+        var imageHandler,
+            pending = {},
+            settled = false;
+
+        function finish(err, bNotify) {
+            if (settled) return;
+            settled = true;
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (self.pendingInitialize === pending) self.pendingInitialize = null;
+            // notify outside the image load promise chain, where an error thrown by a listener
+            // or the callback would be caught and taken for a load failure
+            queueMicrotask(function () {
+                if (!err) self.emit('ready', {source: 'image'});
+                if (bNotify && onReady) onReady(err || null);
+            });
+            if (err) reject(err);
+            else resolve(self);
+        }
+
+        function onAbort() {
+            if (imageHandler) imageHandler.disable();
+            finish(createAbortError(signal), true);
+        }
+
+        pending.supersede = function () {
+            imageHandler.disable();
+            finish(createError('initialize was superseded by a newer call', VisionSimulation.ERR_INITIALIZE_SUPERSEDED), false);
+        };
+
+        // an aborted signal leaves the loaded map as it is
+        if (signal && signal.aborted) return onAbort();
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        self.resetMapData();
+        imageHandler = self.imageHandler = new ImageHandler(mapDataImagePath);
+        self.pendingInitialize = pending;
+        var t1 = Date.now();
+        imageHandler.load(function (err) {
+            if (settled) return;
+            if (!err) {
+                try {
+                    var t2 = Date.now();
+                    if (self.logger) self.logger('image load', t2 - t1 + 'ms');
+                    self.gridnav = parseImage(imageHandler, self.gridWidth * 2, self.gridWidth, self.gridHeight, self.blackPixelHandler.bind(self));
+                    self.ent_fow_blocker_node = parseImage(imageHandler, self.gridWidth * 3, self.gridWidth, self.gridHeight, self.blackPixelHandler.bind(self));
+                    self.tools_no_wards = parseImage(imageHandler, self.gridWidth * 4, self.gridWidth, self.gridHeight, self.blackPixelHandler.bind(self));
+                    parseImage(imageHandler, self.gridWidth, self.gridWidth, self.gridHeight, self.treeElevationPixelHandler.bind(self));
+                    self.elevationGrid = parseImage(imageHandler, 0, self.gridWidth, self.gridHeight, self.elevationPixelHandler.bind(self));
+                    var t3 = Date.now();
+                    if (self.logger) self.logger('image process', t3 - t2 + 'ms');
+                    self.buildTreeWalls();
+                    var t4 = Date.now();
+                    if (self.logger) self.logger('walls generation', t4 - t3 + 'ms');
+                    self.ready = true;
+                }
+                catch (e) {
+                    err = e;
+                }
+            }
+            finish(err, true);
+        });
+    });
+
+    // callback users are not expected to handle the promise
+    if (onReady) promise.catch(function () {});
+    return promise;
+}
+
+/**
+ * Clears all map data and cancels any map image that is still loading
+ * @private
+ */
+VisionSimulation.prototype.resetMapData = function () {
+    this.ready = false;
+    this.gridnav = null;
+    this.ent_fow_blocker_node = null;
+    this.tools_no_wards = null;
+    this.elevationValues = [];
+    this.elevationGrid = null;
+    this.elevationWalls = {};
+    this.treeWalls = {};
+    this.tree = {}; // center key to point map
+    this.tree_blocks = {}; // center to corners map
+    this.tree_relations = {}; // corner to center map
+    this.tree_elevations = {};
+    this.tree_state = {};
+    this.treeOrigins = []; // tree origin points by tree index
+    this.treeCells = new Array(this.gridWidth * this.gridHeight).fill(null); // tree origin points blocking each cell
+    this.treeTops = []; // elevation of the top of each tree by tree index
+    this.treeStanding = []; // 1 for standing trees by tree index
+    this.tree_cut_time = {}; // center key to simulation time the tree was destroyed
+    this.tree_regrow_time = {}; // center key to simulation time the tree regrows
+    this.obstacles = {}; // obstacle id to obstacle map
+    this.obstacleTops = new Float64Array(this.gridWidth * this.gridHeight).fill(-Infinity); // highest obstacle top per cell
+    this.nextObstacleId = 1;
+    this.undoStack = []; // recorded tree and obstacle edits
+    this.redoStack = []; // reverted edits
+    this.sources = []; // vision sources of the last updateVisibility or updateMultiVisibility call
+    this.lastVisibility = null; // result of the last updateVisibility call
+    this.lastRingShadows = null; // shadows at the start of each ring of the FOV of lastVisibility
+    this.changedTrees = {}; // keys of the trees grown or destroyed since the last updateVisibility call
+    this.walls = null;
+    this.lights = {};
+    this.area = 0;
+    if (this.pendingInitialize) this.pendingInitialize.supersede();
+    this.pendingInitialize = null;
+    if (this.imageHandler) this.imageHandler.disable();
+    this.imageHandler = null;
+}
+
+/**
+ * Builds the tree walls of every elevation from the current tree state
+ * @private
+ */
+VisionSimulation.prototype.buildTreeWalls = function () {
+    var self = this;
+    this.treeWalls = {};
+    this.elevationValues.forEach(function (elevation) {
+        self.treeWalls[elevation] = new Uint8Array(self.gridWidth * self.gridHeight);
+        setTreeWalls(self.treeWalls[elevation], self.gridWidth, self.gridHeight, elevation, self.tree, self.tree_elevations, self.tree_state, self.tree_blocks)
+    });
+}
+
+/**
+ * Registers a standing tree
+ * 
+ * @param {number} x - X coordinate of the tree origin in the grid
+ * @param {number} y - Y coordinate of the tree origin in the grid
+ * @param {number} elevation - Elevation of the top of the tree
+ * @param {Array<Object>} blocks - Grid cells covered by the tree
+ * @private
+ */
+VisionSimulation.prototype.addTree = function (x, y, elevation, blocks) {
+    var treeOrigin = xy2pt(x, y),
+        kC = treeOrigin.key;
+    treeOrigin.index = this.treeOrigins.length;
+    this.treeOrigins.push(treeOrigin);
+    this.treeTops.push(elevation);
+    this.treeStanding.push(1);
+    this.tree[kC] = treeOrigin;
+    this.tree_elevations[kC] = elevation;
+    this.tree_blocks[kC] = [];
+    this.tree_state[kC] = true;
+    for (var i = 0; i < blocks.length; i++) {
+        var treeCorner = xy2pt(blocks[i].x, blocks[i].y),
+            index = this.xy2index(treeCorner.x, treeCorner.y);
+        this.tree_relations[treeCorner.key] = (this.tree_relations[treeCorner.key] || []).concat(treeOrigin);
+        this.tree_blocks[kC].push(treeCorner);
+        if (index !== -1) this.treeCells[index] = (this.treeCells[index] || []).concat(treeOrigin);
+    }
+}
+
+/**
+ * Exports everything initialize derives from the map data image
+ * The result is plain JSON data that loadMapData and VisionSimulation.fromMapData
+ * turn back into a ready simulation without decoding the image
+ * 
+ * @param {Object} [opts] - Optional export settings
+ * @param {boolean} [opts.shared=false] - Export the grid layers as the instance's own typed arrays instead of
+ * base64 strings, so simulations loaded from the result share them. The result is then not JSON serializable
+ * @returns {Object} Precompiled map data
+ * @throws {Error} If the simulation is not initialized
+ */
+VisionSimulation.prototype.exportMapData = function (opts) {
+    var self = this;
+    if (!this.ready) throw new Error('VisionSimulation is not initialized');
+    var shared = !!(opts && opts.shared);
+    var layers = {};
+    MAP_DATA_LAYERS.forEach(function (name) {
+        layers[name] = shared ? self[name] : encodeLayer(self[name]);
+    });
+    return {
+        format: MAP_DATA_FORMAT,
+        version: MAP_DATA_VERSION,
+        worlddata: {
+            worldMinX: this.worldMinX,
+            worldMinY: this.worldMinY,
+            worldMaxX: this.worldMaxX,
+            worldMaxY: this.worldMaxY
+        },
+        elevationValues: this.elevationValues.slice(),
+        layers: layers,
+        // [x, y, elevation, [blockX1, blockY1, blockX2, blockY2, ...]] per tree
+        trees: Object.keys(this.tree).map(function (kC) {
+            var blocks = [];
+            self.tree_blocks[kC].forEach(function (pt) {
+                blocks.push(pt.x, pt.y);
+            });
+            return [self.tree[kC].x, self.tree[kC].y, self.tree_elevations[kC], blocks];
+        })
+    };
+}
+
+/**
+ * Loads precompiled map data produced by exportMapData
+ * The simulation is ready as soon as this returns. Layers given as typed arrays
+ * are shared with the data rather than copied and are never modified
+ * 
+ * @param {Object|string} data - Precompiled map data, or its JSON string
+ * @throws {Error} If the data has an unknown format or does not match the world boundaries
+ */
+VisionSimulation.prototype.loadMapData = function (data) {
+    var self = this,
+        size = this.gridWidth * this.gridHeight;
+    if (typeof data === 'string') data = JSON.parse(data);
+    if (!data || data.format !== MAP_DATA_FORMAT) throw new Error('Invalid map data format');
+    if (data.version !== MAP_DATA_VERSION) throw new Error('Unsupported map data version: ' + data.version);
+    if (data.worlddata.worldMinX !== this.worldMinX || data.worlddata.worldMinY !== this.worldMinY ||
+        data.worlddata.worldMaxX !== this.worldMaxX || data.worlddata.worldMaxY !== this.worldMaxY) {
+        throw new Error('Map data world boundaries do not match the simulation');
+    }
+    var t1 = Date.now();
+    this.resetMapData();
+    MAP_DATA_LAYERS.forEach(function (name) {
+        self[name] = decodeLayer(data.layers[name], size);
+    });
+    this.elevationValues = data.elevationValues.slice();
+    data.trees.forEach(function (t) {
+        var blocks = [];
+        for (var i = 0; i < t[3].length; i += 2) {
+            blocks.push({x: t[3][i], y: t[3][i + 1]});
+        }
+        self.addTree(t[0], t[1], t[2], blocks);
+    });
+    this.buildTreeWalls();
+    if (this.logger) this.logger('map data load', Date.now() - t1 + 'ms');
+    this.ready = true;
+    this.emit('ready', {source: 'mapData'});
+}
+
+/**
+ * Exports the mutable state of the simulation: the clock, the radius settings, the time of day,
+ * the cut trees, the obstacles and the vision sources of the last visibility update
+ * The map itself is not included, so the state can only be imported into a simulation of the same map
+ * 
+ * @param {Object} [opts] - Optional export settings
+ * @param {boolean} [opts.compact=false] - Export a compact URL-safe string instead of JSON data
+ * @returns {Object|string} State as plain JSON data, or its compact string
+ * @throws {Error} If the simulation is not initialized
+ */
+VisionSimulation.prototype.exportState = function (opts) {
+    if (!this.ready) throw new Error('VisionSimulation is not initialized');
+    var state = {
+        format: STATE_FORMAT,
+        version: STATE_VERSION,
+        treeCount: Object.keys(this.tree).length,
+        time: this.time,
+        radius: this.radius,
+        nightRadius: this.nightRadius,
+        timeOfDay: this.timeOfDay,
+        trees: this.getCutTrees().map(function (tree) {
+            return {key: tree.key, cutTime: tree.cutTime, regrowTime: tree.regrowTime};
+        }),
+        sources: this.sources.map(function (source) {
+            return pickFields(source, STATE_SOURCE_FIELDS);
+        }),
+        obstacles: this.getObstacles().map(function (obstacle) {
+            var copy = pickFields(obstacle, STATE_OBSTACLE_FIELDS);
+            if (copy.points) {
+                copy.points = copy.points.map(function (pt) {
+                    return [pt.x, pt.y];
+                });
+            }
+            return copy;
+        }),
+        nextObstacleId: this.nextObstacleId
+    };
+    return opts && opts.compact ? packState(this, state) : state;
+}
+
+/**
+ * Restores a state produced by exportState
+ * Trees, obstacles and settings are replaced, the undo history is cleared, and the visibility
+ * of the saved vision sources is updated, so the usual change events are emitted
+ * 
+ * An invalid state is rejected before anything is changed
+ * 
+ * @param {Object|string} state - State as JSON data, its JSON string, or its compact string
+ * @throws {Error} If the simulation is not initialized, the state has an unknown format, a missing or invalid field,
+ * or was saved for a different map
+ */
+VisionSimulation.prototype.importState = function (state) {
+    var self = this;
+    if (!this.ready) throw new Error('VisionSimulation is not initialized');
+    if (typeof state === 'string') {
+        if (state.charAt(0) !== '{') state = unpackState(this, state);
+        else {
+            try {
+                state = JSON.parse(state);
+            }
+            catch (e) {
+                throw new Error('Invalid state format');
+            }
+        }
+    }
+    // check the whole state first, so an invalid one leaves the simulation as it is
+    validateState(this, state);
+
+    var treeKeys = Object.keys(this.tree),
+        cut = {};
+    state.trees.forEach(function (tree) {
+        cut[tree.key] = tree;
+    });
+
+    var previousTimeOfDay = this.timeOfDay;
+    this.time = state.time;
+    this.setRadius(state.radius);
+    this.setNightRadius(state.nightRadius);
+    // set directly, the saved sources are updated below once the trees and obstacles are restored
+    this.timeOfDay = state.timeOfDay;
+    treeKeys.forEach(function (treeKey) {
+        var tree = cut[treeKey];
+        self.applyTreeState(treeKey, !tree);
+        if (tree) {
+            self.tree_cut_time[treeKey] = tree.cutTime;
+            self.tree_regrow_time[treeKey] = tree.regrowTime;
+        }
+    });
+    for (var id in this.obstacles) {
+        this.setObstacle(id, null, 'remove');
+    }
+    state.obstacles.forEach(function (obstacle) {
+        self.addObstacle(obstacle);
+    });
+    this.nextObstacleId = state.nextObstacleId;
+    this.clearHistory();
+
+    updateSources(this, state.sources);
+    if (this.timeOfDay !== previousTimeOfDay) this.emit('timeofdaychange', {timeOfDay: this.timeOfDay, previous: previousTimeOfDay});
+}
+
+/**
+ * Handler for black pixels in the map data image
+ * Used to identify navigation blockers, FOW blockers, and no-ward areas
+ * 
+ * @param {number} x - X coordinate in the image
+ * @param {number} y - Y coordinate in the image
+ * @param {Array<number>} p - RGB values of the pixel
+ * @param {Uint8Array} grid - Target grid to store the result
+ */
+VisionSimulation.prototype.blackPixelHandler = function (x, y, p, grid) {
+    if (p[0] === 0) {
+        grid[(this.gridHeight - y - 1) * this.gridWidth + x] = 1;
+    }
+}
+
+/**
+ * Handler for elevation pixels in the map data image
+ * Extracts elevation data from pixel brightness values
+ * 
+ * @param {number} x - X coordinate in the image
+ * @param {number} y - Y coordinate in the image
+ * @param {Array<number>} p - RGB values of the pixel
+ * @param {Uint8Array} grid - Target grid to store the result
+ */
+VisionSimulation.prototype.elevationPixelHandler = function (x, y, p, grid) {
+    grid[(this.gridHeight - y - 1) * this.gridWidth + x] = p[0];
+    if (this.elevationValues.indexOf(p[0]) == -1) {
+        this.elevationValues.push(p[0]);
+    }
+}
+
+/**
+ * Handler for tree elevation pixels in the map data image
+ * Extracts tree positions and their elevation data
+ * 
+ * @param {number} x - X coordinate in the image
+ * @param {number} y - Y coordinate in the image
+ * @param {Array<number>} p - RGB values of the pixel
+ * @param {Uint8Array} grid - Target grid to store the result
+ */
+VisionSimulation.prototype.treeElevationPixelHandler = function (x, y, p, grid) {
+    var pt = this.ImageXYtoGridXY(x, y);
+    if (p[1] == 0 && p[2] == 0) {
+        // trees are 2x2 in grid
+        // tree origins rounded up when converted to grid, so they represent top right corner. subtract 0.5 to get grid origin
+        var treeOrigin = xy2pt(pt.x - 0.5, pt.y - 0.5);
+        var treeElevation = p[0] + 40;
+        var blocks = [];
+        // iterate through tree 2x2 by taking floor and ceil of tree grid origin
+        [Math.floor, Math.ceil].forEach(function (i) {
+            [Math.floor, Math.ceil].forEach(function (j) {
+                blocks.push(xy2pt(i(treeOrigin.x), j(treeOrigin.y)));
+            });
+        });
+        this.addTree(treeOrigin.x, treeOrigin.y, treeElevation, blocks);
+    }
+}
+
+/**
+ * Computes the visibility from a specific grid position without modifying the instance
+ * Two results computed back to back never affect each other
+ * 
+ * @param {number} gX - X coordinate in the grid
+ * @param {number} gY - Y coordinate in the grid
+ * @param {Object} [opts] - Vision source options
+ * @param {number} [opts.radius] - Fixed vision radius, overrides dayRadius and nightRadius
+ * @param {number} [opts.dayRadius] - Day vision radius, defaults to the instance's radius setting
+ * @param {number} [opts.nightRadius] - Night vision radius, defaults to the instance's nightRadius setting
+ * @param {boolean} [opts.flying=false] - Whether to use flying vision, which is only limited by the radius
+ * @returns {Object} Frozen result with x, y, radius, flying, elevation, lights, lightIndexes, area and lightArea properties.
+ * lightIndexes lists the flat grid indices of the visible cells, and the lights map keyed by "x,y" is built when first read
+ */
+VisionSimulation.prototype.computeVisibility = function (gX, gY, opts) {
+    return computeResult(this, gX, gY, opts || {}, null);
+}
+
+/**
+ * Checks if a viewer at one grid cell sees another grid cell
+ * Follows the same elevation, tree and fog blocker rules as updateVisibility,
+ * but only traces the cells whose shadows can reach the line between the two cells
+ * 
+ * @param {Object} source - Grid coordinates {x, y} of the viewer
+ * @param {Object} target - Grid coordinates {x, y} of the target cell
+ * @param {number} [radius] - Vision radius, defaults to the instance's radius for the current time of day
+ * @param {boolean} [bFlying=false] - Whether the viewer has flying vision
+ * @returns {boolean} True if updateVisibility(source.x, source.y, radius, bFlying) would light the target cell
+ * @throws {Error} If the source is outside the grid
+ */
+VisionSimulation.prototype.canSee = function (source, target, radius, bFlying) {
+    var gX = source.x,
+        gY = source.y,
+        tX = target.x,
+        tY = target.y,
+        dx = tX - gX,
+        dy = tY - gY,
+        ring = Math.max(Math.abs(dx), Math.abs(dy)),
+        distance = Math.sqrt(dx * dx + dy * dy),
+        elevation = this.getElevation(gX, gY),
+        seen = false,
+        fov;
+
+    if (elevation === undefined) throw new Error('Position out of bounds: ' + gX + ',' + gY);
+    if (this.xy2index(tX, tY) === -1) return false;
+    radius = this.getSourceRadius({radius: radius});
+    // cells within two rings of the viewer are always reached, regardless of the radius
+    if (ring > 2 && distance >= radius) return false;
+
+    fov = createFov(this, elevation, !!bFlying);
+    fov.maxRing = ring;
+    fov.filterCell = function (cx, cy) {
+        var ox = cx - gX,
+            oy = cy - gY;
+        return (ox * dx + oy * dy) / distance > -LINE_OF_SIGHT_MARGIN && Math.abs(ox * dy - oy * dx) / distance <= LINE_OF_SIGHT_MARGIN;
+    };
+    fov.compute(gX, gY, radius, function (x2, y2, r, vis) {
+        if (vis == 1 && x2 === tX && y2 === tY) seen = true;
+    });
+
+    return seen && (!!bFlying || isCellLit(this, tX, tY, elevation));
+}
+
+/**
+ * Updates the visibility from a specific grid position
+ * Calculates which cells are visible from the given coordinates and stores
+ * the result in the lights, area, lightArea, elevation and walls properties
+ * When only trees changed since the last update from the same position, the FOV resumes at the
+ * first ring of cells the trees reach instead of starting over, with the same result as a full computation
+ * 
+ * @param {number} gX - X coordinate in the grid
+ * @param {number} gY - Y coordinate in the grid
+ * @param {number} [radius] - Vision radius, defaults to the instance's radius for the current time of day
+ * @param {boolean} [bFlying=false] - Whether to use flying vision, which is only limited by the radius
+ */
+VisionSimulation.prototype.updateVisibility = function (gX, gY, radius, bFlying) {
+    var last = this.lastVisibility,
+        result = null,
+        previousLights = this.lights;
+    if (last && last.x === gX && last.y === gY && last.flying === !!bFlying && last.radius === this.getSourceRadius({radius: radius})) {
+        result = computeTreeUpdate(this, last, this.lastRingShadows, Object.keys(this.changedTrees));
+    }
+    if (!result) {
+        this.lastRingShadows = [];
+        result = computeResult(this, gX, gY, {radius: radius, flying: bFlying}, this.lastRingShadows);
+    }
+    this.lastVisibility = result;
+    this.changedTrees = {};
+    this.elevation = result.elevation;
+    this.walls = result.flying ? null : this.treeWalls[result.elevation];
+    this.sources = [pickFields({x: gX, y: gY, radius: radius, flying: bFlying || undefined}, STATE_SOURCE_FIELDS)];
+    // a copy, callers could always modify the lights property and result.lights is frozen
+    this.lights = Object.assign({}, result.lights);
+    this.area = result.area;
+    this.lightArea = result.lightArea;
+    emitVisibilityChange(this, {
+        x: result.x,
+        y: result.y,
+        radius: result.radius,
+        flying: result.flying,
+        lights: this.lights,
+        previousLights: previousLights,
+        area: result.area,
+        lightArea: result.lightArea
+    });
+}
+
+/**
+ * Updates the visibility from several vision sources at once
+ * Merges the visible cells of every source and records which sources see each cell
+ *
+ * @param {Array<Object>} sources - List of vision sources
+ * @param {number} sources[].x - X coordinate of the source in the grid
+ * @param {number} sources[].y - Y coordinate of the source in the grid
+ * @param {number} [sources[].radius] - Fixed vision radius of the source, overrides dayRadius and nightRadius
+ * @param {number} [sources[].dayRadius] - Day vision radius of the source, defaults to the instance's radius setting
+ * @param {number} [sources[].nightRadius] - Night vision radius of the source, defaults to the instance's nightRadius setting
+ * @param {boolean} [sources[].flying] - Whether the source has flying vision
+ * @param {string|number} [sources[].id] - Identifier of the source, defaults to its index in the list
+ * @returns {Object} Merged result with lights, lightSources and lightArea properties
+ */
+VisionSimulation.prototype.updateMultiVisibility = function (sources) {
+    var lights = {},
+        lightSources = {},
+        previousLights = this.lights;
+
+    for (var i = 0; i < sources.length; i++) {
+        var source = sources[i],
+            id = source.id !== undefined ? source.id : i;
+        var result = this.computeVisibility(source.x, source.y, source);
+        for (var key in result.lights) {
+            lights[key] = 255;
+            (lightSources[key] = lightSources[key] || []).push(id);
+        }
+    }
+
+    this.sources = sources.map(function (source) {
+        return pickFields(source, STATE_SOURCE_FIELDS);
+    });
+    this.lights = lights;
+    this.lightSources = lightSources;
+    this.lightArea = Object.keys(lights).length;
+    emitVisibilityChange(this, {
+        sources: sources,
+        lights: lights,
+        previousLights: previousLights,
+        lightSources: lightSources,
+        lightArea: this.lightArea
+    });
+
+    return {
+        lights: this.lights,
+        lightSources: this.lightSources,
+        lightArea: this.lightArea
+    };
+}
+
+/**
+ * Checks if a grid position is valid based on various criteria
+ * Can check for gridnav blockers, ward placement restrictions, and tree blockers
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @param {boolean} [bCheckGridnav=false] - Whether to check if position is blocked by gridnav
+ * @param {boolean} [bCheckToolsNoWards=false] - Whether to check if ward placement is restricted
+ * @param {boolean} [bCheckTreeState=false] - Whether to check if position is blocked by trees
+ * @returns {boolean} True if the position is valid based on all specified criteria
+ */
+VisionSimulation.prototype.isValidXY = function (x, y, bCheckGridnav, bCheckToolsNoWards, bCheckTreeState) {
+    if (!this.ready) return false;
+    
+    var key = xy2key(x, y),
+        index = this.xy2index(x, y),
+        treeBlocking = false;
+        
+    if (bCheckTreeState) {
+        var treePts = this.tree_relations[key];
+        if (treePts) {
+            for (var i = 0; i < treePts.length; i++) {
+                var treePt = treePts[i];
+                treeBlocking = this.tree_state[treePt.key];
+                if (treeBlocking) break;
+            }
+        }
+    }
+    
+    return index !== -1 && (!bCheckGridnav || !this.gridnav[index]) && (!bCheckToolsNoWards || !this.tools_no_wards[index]) && (!bCheckTreeState || !treeBlocking);
+}
+
+/**
+ * Finds the observer ward spots with the highest coverage
+ * See the ward-optimizer module for the available options
+ * 
+ * @param {Object} [opts] - Search settings such as count, radius, region and timeBudget
+ * @returns {Object} Result with the ranked spots and whether the search completed
+ */
+VisionSimulation.prototype.findWardSpots = function (opts) {
+    return findWardSpots(this, opts);
+}
+
+/**
+ * Computes the visibility from many sources in parallel, with worker threads in Node or Web Workers in the browser
+ * See the batch module for the available options
+ * 
+ * @param {Array<Object>} sources - Vision sources as accepted by computeVisibility, with x and y grid coordinates
+ * @param {Object} [opts] - Batch settings such as workers, lights and workerUrl
+ * @returns {Promise<Array<Object>>} Promise resolving with one result per source, in the order of the sources
+ */
+VisionSimulation.prototype.computeVisibilityBatch = function (sources, opts) {
+    return batch.computeVisibilityBatch(this, sources, opts);
+}
+
+/**
+ * Toggles the state of a tree at the specified grid coordinates
+ * Trees can be standing (blocking vision) or cut down (not blocking)
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {boolean} True if there was a tree at the position that was toggled
+ */
+VisionSimulation.prototype.toggleTree = function (x, y) {
+    var key = xy2key(x, y);
+    var isTree = !!this.tree_relations[key];
+    if (isTree) {
+        var treePts = this.tree_relations[key],
+            changes = [];
+        for (var i = 0; i < treePts.length; i++) {
+            var pt = treePts[i],
+                bStanding = !this.tree_state[pt.key];
+            if (this.applyTreeState(pt.key, bStanding)) changes.push({key: pt.key, standing: bStanding});
+        }
+        this.recordHistory({trees: changes, obstacles: []});
+    }
+
+    return isTree;
+}
+
+/**
+ * Destroys the standing trees at the specified grid coordinates
+ * Unlike toggleTree, trees that are already cut down are left as they are
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {boolean} True if a standing tree was destroyed
+ */
+VisionSimulation.prototype.cutTree = function (x, y) {
+    var treePts = this.tree_relations[xy2key(x, y)] || [],
+        changes = [];
+    for (var i = 0; i < treePts.length; i++) {
+        if (this.applyTreeState(treePts[i].key, false)) changes.push({key: treePts[i].key, standing: false});
+    }
+    this.recordHistory({trees: changes, obstacles: []});
+    return changes.length > 0;
+}
+
+/**
+ * Sets whether a tree is standing and updates the tree walls of every affected elevation
+ * Destroying a tree records the simulation time it was cut and the time it regrows
+ * 
+ * @param {string} treeKey - Key of the tree origin, as in the tree map
+ * @param {boolean} bStanding - True to grow the tree, false to destroy it
+ * @returns {boolean} True if the tree exists and its state changed
+ */
+VisionSimulation.prototype.setTreeState = function (treeKey, bStanding) {
+    var changed = this.applyTreeState(treeKey, bStanding);
+    if (changed) this.recordHistory({trees: [{key: treeKey, standing: !!bStanding}], obstacles: []});
+    return changed;
+}
+
+/**
+ * Sets whether a tree is standing without recording history, and emits the treechange event
+ * 
+ * @param {string} treeKey - Key of the tree origin, as in the tree map
+ * @param {boolean} bStanding - True to grow the tree, false to destroy it
+ * @returns {boolean} True if the tree exists and its state changed
+ * @private
+ */
+VisionSimulation.prototype.applyTreeState = function (treeKey, bStanding) {
+    var self = this;
+    bStanding = !!bStanding;
+    if (!this.tree[treeKey] || this.tree_state[treeKey] === bStanding) return false;
+
+    this.tree_state[treeKey] = bStanding;
+    this.treeStanding[this.tree[treeKey].index] = bStanding ? 1 : 0;
+    this.changedTrees[treeKey] = true;
+    if (bStanding) {
+        delete this.tree_cut_time[treeKey];
+        delete this.tree_regrow_time[treeKey];
+    }
+    else {
+        this.tree_cut_time[treeKey] = this.time;
+        this.tree_regrow_time[treeKey] = this.time + this.treeRegrowTime;
+    }
+
+    this.elevationValues.forEach(function (elevation) {
+        if (elevation < self.tree_elevations[treeKey]) {
+            self.tree_blocks[treeKey].forEach(function (ptB) {
+                var index = self.xy2index(ptB.x, ptB.y);
+                if (index !== -1) self.treeWalls[elevation][index] += bStanding ? 1 : -1;
+            });
+        }
+    });
+    this.emit('treechange', {
+        key: treeKey,
+        x: this.tree[treeKey].x,
+        y: this.tree[treeKey].y,
+        elevation: this.tree_elevations[treeKey],
+        blocks: this.tree_blocks[treeKey],
+        standing: bStanding,
+        time: this.time
+    });
+    return true;
+}
+
+/**
+ * Returns the destroyed trees with the times they were cut and regrow
+ * 
+ * @returns {Array<Object>} Trees as {key, x, y, cutTime, regrowTime} objects, sorted by regrow time
+ */
+VisionSimulation.prototype.getCutTrees = function () {
+    var self = this;
+    return Object.keys(this.tree_regrow_time).map(function (treeKey) {
+        return {
+            key: treeKey,
+            x: self.tree[treeKey].x,
+            y: self.tree[treeKey].y,
+            cutTime: self.tree_cut_time[treeKey],
+            regrowTime: self.tree_regrow_time[treeKey]
+        };
+    }).sort(function (a, b) {
+        return a.regrowTime - b.regrowTime;
+    });
+}
+
+/**
+ * Sets the simulation clock, regrows every tree whose regrow time has been reached
+ * and removes every obstacle whose expire time has been reached
+ * 
+ * @param {number} time - New simulation time in seconds
+ * @returns {Array<Object>} Points of the trees that regrew
+ * @throws {Error} If the new time is not a finite number or is earlier than the current time
+ */
+VisionSimulation.prototype.setTime = function (time) {
+    if (typeof time !== 'number' || !isFinite(time)) throw new Error('Invalid simulation time: ' + time);
+    if (time < this.time) throw new Error('Simulation time cannot go backwards: ' + time + ' < ' + this.time);
+    var regrown = [];
+    this.time = time;
+    for (var treeKey in this.tree_regrow_time) {
+        if (this.tree_regrow_time[treeKey] <= time) {
+            this.applyTreeState(treeKey, true);
+            regrown.push(this.tree[treeKey]);
+        }
+    }
+    for (var id in this.obstacles) {
+        var expireTime = this.obstacles[id].expireTime;
+        if (expireTime !== null && expireTime <= time) this.setObstacle(id, null, 'expire');
+    }
+    return regrown;
+}
+
+/**
+ * Advances the simulation clock and regrows every tree whose regrow time has been reached
+ * 
+ * @param {number} seconds - Number of seconds to advance the clock by
+ * @returns {Array<Object>} Points of the trees that regrew
+ */
+VisionSimulation.prototype.advanceTime = function (seconds) {
+    return this.setTime(this.time + seconds);
+}
+
+/**
+ * Adds a temporary obstacle that blocks vision, such as Fissure, Sprout or Ice Shards
+ * Adding an obstacle with the id of an existing one replaces it
+ * 
+ * @param {Object} obstacle - Obstacle settings
+ * @param {string|number} [obstacle.id] - Identifier of the obstacle, generated if omitted
+ * @param {number} [obstacle.x] - X coordinate of the center of a circle footprint in the grid
+ * @param {number} [obstacle.y] - Y coordinate of the center of a circle footprint in the grid
+ * @param {number} [obstacle.radius] - Radius of a circle footprint in grid cells
+ * @param {Array<Object>} [obstacle.points] - Vertices {x, y} or [x, y] of a polygon footprint in the grid, used instead of a circle
+ * @param {number} [obstacle.height] - Height above the ground of each covered cell, in units of the elevation layer (trees are 40 high).
+ * Viewers standing below the top of the obstacle are blocked. Without a height the obstacle blocks every viewer
+ * @param {number} [obstacle.expireTime] - Simulation time the obstacle is removed at
+ * @param {number} [obstacle.duration] - Seconds from the current simulation time until the obstacle is removed, used instead of expireTime
+ * @returns {string|number} Identifier of the obstacle
+ * @throws {Error} If the simulation is not initialized or the footprint is missing
+ */
+VisionSimulation.prototype.addObstacle = function (obstacle) {
+    if (!this.ready) throw new Error('VisionSimulation is not initialized');
+    var id = obstacle.id !== undefined ? obstacle.id : this.nextObstacleId++,
+        record = {id: id};
+
+    if (obstacle.points) {
+        if (obstacle.points.length < 3) throw new Error('Obstacle polygon needs at least 3 points');
+        record.points = obstacle.points.map(function (pt) {
+            return Array.isArray(pt) ? {x: pt[0], y: pt[1]} : {x: pt.x, y: pt.y};
+        });
+    }
+    else if (obstacle.x !== undefined && obstacle.y !== undefined && obstacle.radius !== undefined) {
+        record.x = obstacle.x;
+        record.y = obstacle.y;
+        record.radius = obstacle.radius;
+    }
+    else {
+        throw new Error('Obstacle needs either x, y and radius or a points list');
+    }
+    record.height = obstacle.height !== undefined ? obstacle.height : null;
+    record.expireTime = obstacle.duration !== undefined ? this.time + obstacle.duration : (obstacle.expireTime !== undefined ? obstacle.expireTime : null);
+    record.cells = rasterizeFootprint(this, record);
+
+    var previous = this.setObstacle(id, record, 'add');
+    this.recordHistory({trees: [], obstacles: [{id: id, before: previous, after: record}]});
+    return id;
+}
+
+/**
+ * Removes a temporary obstacle
+ * 
+ * @param {string|number} id - Identifier of the obstacle
+ * @returns {boolean} True if the obstacle existed and was removed
+ */
+VisionSimulation.prototype.removeObstacle = function (id) {
+    var obstacle = this.obstacles && this.obstacles[id];
+    if (!obstacle) return false;
+    this.setObstacle(id, null, 'remove');
+    this.recordHistory({trees: [], obstacles: [{id: id, before: obstacle, after: null}]});
+    return true;
+}
+
+/**
+ * Removes every temporary obstacle, as a single history entry
+ */
+VisionSimulation.prototype.clearObstacles = function () {
+    var changes = [];
+    for (var id in this.obstacles) {
+        changes.push({id: id, before: this.obstacles[id], after: null});
+        this.setObstacle(id, null, 'remove');
+    }
+    this.recordHistory({trees: [], obstacles: changes});
+}
+
+/**
+ * Adds, replaces or deletes a temporary obstacle without recording history, and emits the obstaclechange event
+ * 
+ * @param {string|number} id - Identifier of the obstacle
+ * @param {Object|null} record - New obstacle, or null to delete it
+ * @param {string} type - Event type, 'add', 'remove' or 'expire'
+ * @returns {Object|null} Obstacle that was replaced or deleted
+ * @private
+ */
+VisionSimulation.prototype.setObstacle = function (id, record, type) {
+    var previous = this.obstacles[id] || null;
+    if (!record && !previous) return null;
+    if (record) this.obstacles[id] = record;
+    else delete this.obstacles[id];
+    this.lastVisibility = null;
+    this.updateObstacleTops((previous ? previous.cells : []).concat(record ? record.cells : []));
+    this.emit('obstaclechange', {type: type, id: (record || previous).id, obstacle: record, previous: previous});
+    return previous;
+}
+
+/**
+ * Returns a temporary obstacle
+ * 
+ * @param {string|number} id - Identifier of the obstacle
+ * @returns {Object|undefined} Obstacle with id, footprint, height, expireTime and cells (covered grid indices) properties
+ */
+VisionSimulation.prototype.getObstacle = function (id) {
+    return this.obstacles && this.obstacles[id];
+}
+
+/**
+ * Returns every temporary obstacle
+ * 
+ * @returns {Array<Object>} Obstacles in the order they were added
+ */
+VisionSimulation.prototype.getObstacles = function () {
+    var obstacles = this.obstacles || {};
+    return Object.keys(obstacles).map(function (id) { return obstacles[id]; });
+}
+
+/**
+ * Recomputes the highest obstacle top of the given cells
+ * 
+ * @param {Array<number>} cells - Flat grid indices of the cells to update
+ * @private
+ */
+VisionSimulation.prototype.updateObstacleTops = function (cells) {
+    var affected = {};
+    for (var i = 0; i < cells.length; i++) {
+        affected[cells[i]] = true;
+        this.obstacleTops[cells[i]] = -Infinity;
+    }
+    for (var id in this.obstacles) {
+        var obstacle = this.obstacles[id];
+        for (var i = 0; i < obstacle.cells.length; i++) {
+            var index = obstacle.cells[i];
+            if (!affected[index]) continue;
+            var top = obstacle.height === null ? Infinity : this.elevationGrid[index] + obstacle.height;
+            if (top > this.obstacleTops[index]) this.obstacleTops[index] = top;
+        }
+    }
+}
+
+/**
+ * Adds an edit to the undo history and clears the redo history
+ * Edits without changes are ignored
+ * 
+ * @param {Object} entry - Edit with trees ({key, standing} new tree states) and obstacles ({id, before, after}) lists
+ * @private
+ */
+VisionSimulation.prototype.recordHistory = function (entry) {
+    if (!entry.trees.length && !entry.obstacles.length) return;
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.historyLimit) this.undoStack.shift();
+    this.redoStack = [];
+}
+
+/**
+ * Applies an edit of the history forwards or backwards
+ * 
+ * @param {Object} entry - Edit recorded by recordHistory
+ * @param {boolean} bUndo - True to revert the edit, false to apply it again
+ * @private
+ */
+VisionSimulation.prototype.applyHistoryEntry = function (entry, bUndo) {
+    var trees = bUndo ? entry.trees.slice().reverse() : entry.trees,
+        obstacles = bUndo ? entry.obstacles.slice().reverse() : entry.obstacles;
+    for (var i = 0; i < trees.length; i++) {
+        this.applyTreeState(trees[i].key, bUndo ? !trees[i].standing : trees[i].standing);
+    }
+    for (var i = 0; i < obstacles.length; i++) {
+        var record = bUndo ? obstacles[i].before : obstacles[i].after;
+        this.setObstacle(obstacles[i].id, record, record ? 'add' : 'remove');
+    }
+}
+
+/**
+ * Reverts the last tree or obstacle edit
+ * Tree edits are toggleTree, cutTree and setTreeState calls, obstacle edits are addObstacle,
+ * removeObstacle and clearObstacles calls. Trees regrowing and obstacles expiring with the clock are not edits
+ * 
+ * @returns {boolean} True if there was an edit to revert
+ */
+VisionSimulation.prototype.undo = function () {
+    var entry = this.undoStack && this.undoStack.pop();
+    if (!entry) return false;
+    this.applyHistoryEntry(entry, true);
+    this.redoStack.push(entry);
+    return true;
+}
+
+/**
+ * Applies the last reverted edit again
+ * 
+ * @returns {boolean} True if there was an edit to apply
+ */
+VisionSimulation.prototype.redo = function () {
+    var entry = this.redoStack && this.redoStack.pop();
+    if (!entry) return false;
+    this.applyHistoryEntry(entry, false);
+    this.undoStack.push(entry);
+    return true;
+}
+
+/**
+ * Checks if there is an edit to revert
+ * 
+ * @returns {boolean} True if undo would revert an edit
+ */
+VisionSimulation.prototype.canUndo = function () {
+    return !!this.undoStack && this.undoStack.length > 0;
+}
+
+/**
+ * Checks if there is a reverted edit to apply again
+ * 
+ * @returns {boolean} True if redo would apply an edit
+ */
+VisionSimulation.prototype.canRedo = function () {
+    return !!this.redoStack && this.redoStack.length > 0;
+}
+
+/**
+ * Forgets every recorded edit
+ */
+VisionSimulation.prototype.clearHistory = function () {
+    this.undoStack = [];
+    this.redoStack = [];
+}
+
+/**
+ * Sets the vision radius for the simulation
+ * 
+ * @param {number} r - New radius value in grid tiles
+ */
+VisionSimulation.prototype.setRadius = function (r) {
+    this.radius = r;
+}
+
+/**
+ * Sets the night vision radius for the simulation
+ * 
+ * @param {number} r - New night radius value in grid tiles
+ */
+VisionSimulation.prototype.setNightRadius = function (r) {
+    this.nightRadius = r;
+}
+
+/**
+ * Sets the time of day, which selects between day and night vision radii
+ * When it changes, the vision sources of the last visibility update are recomputed
+ * and the timeofdaychange event is emitted
+ * 
+ * @param {string} timeOfDay - VisionSimulation.DAY or VisionSimulation.NIGHT
+ * @throws {Error} If the time of day is not recognized
+ */
+VisionSimulation.prototype.setTimeOfDay = function (timeOfDay) {
+    if (timeOfDay !== VisionSimulation.DAY && timeOfDay !== VisionSimulation.NIGHT) {
+        throw new Error('Invalid time of day: ' + timeOfDay);
+    }
+    var previous = this.timeOfDay;
+    this.timeOfDay = timeOfDay;
+    if (timeOfDay === previous) return;
+    if (this.ready && this.sources.length) updateSources(this, this.sources);
+    this.emit('timeofdaychange', {timeOfDay: timeOfDay, previous: previous});
+};
+
+/**
+ * Checks if the simulation is currently set to night
+ * 
+ * @returns {boolean} True if it is night
+ */
+VisionSimulation.prototype.isNight = function () {
+    return this.timeOfDay === VisionSimulation.NIGHT;
+}
+
+/**
+ * Resolves the vision radius of a source for the current time of day
+ * A fixed radius takes precedence over the source's day and night radii,
+ * which in turn fall back to the instance's radius settings
+ * 
+ * @param {Object} source - Vision source
+ * @param {number} [source.radius] - Fixed vision radius
+ * @param {number} [source.dayRadius] - Day vision radius
+ * @param {number} [source.nightRadius] - Night vision radius
+ * @returns {number} Vision radius in grid tiles
+ */
+VisionSimulation.prototype.getSourceRadius = function (source) {
+    if (source.radius) return source.radius;
+    if (this.isNight()) return source.nightRadius || this.nightRadius;
+    return source.dayRadius || this.radius;
+}
+
+/**
+ * Converts grid coordinates to an index into the flat grid layers
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {number} Index equal to y * gridWidth + x, or -1 if the position is outside the grid
+ */
+VisionSimulation.prototype.xy2index = function (x, y) {
+    if (!(x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) || x % 1 !== 0 || y % 1 !== 0) return -1;
+    return y * this.gridWidth + x;
+}
+
+/**
+ * Converts an index into the flat grid layers to grid coordinates
+ * 
+ * @param {number} index - Index equal to y * gridWidth + x
+ * @returns {Object} Point object with x, y, and key properties
+ */
+VisionSimulation.prototype.index2pt = function (index) {
+    return xy2pt(index % this.gridWidth, Math.floor(index / this.gridWidth));
+}
+
+/**
+ * Returns the elevation of a grid cell
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {number|undefined} Elevation value, or undefined if the position is outside the grid
+ */
+VisionSimulation.prototype.getElevation = function (x, y) {
+    var index = this.xy2index(x, y);
+    return index === -1 ? undefined : this.elevationGrid[index];
+}
+
+/**
+ * Checks if a grid cell is blocked by gridnav
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {boolean} True if units cannot walk on the cell
+ */
+VisionSimulation.prototype.isGridnavBlocked = function (x, y) {
+    var index = this.xy2index(x, y);
+    return index !== -1 && this.gridnav[index] === 1;
+}
+
+/**
+ * Checks if a grid cell holds an ent_fow_blocker_node
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {boolean} True if the cell blocks vision
+ */
+VisionSimulation.prototype.isFowBlocker = function (x, y) {
+    var index = this.xy2index(x, y);
+    return index !== -1 && this.ent_fow_blocker_node[index] === 1;
+}
+
+/**
+ * Checks if a temporary obstacle blocks a grid cell for a viewer
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @param {number} [elevation] - Elevation of the viewer, if omitted any obstacle covering the cell counts
+ * @returns {boolean} True if an obstacle blocks the cell
+ */
+VisionSimulation.prototype.isObstacle = function (x, y, elevation) {
+    var index = this.xy2index(x, y);
+    if (index === -1) return false;
+    return elevation === undefined ? this.obstacleTops[index] !== -Infinity : this.obstacleTops[index] > elevation;
+}
+
+/**
+ * Checks if ward placement is restricted on a grid cell
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @returns {boolean} True if the cell is covered by tools_no_wards
+ */
+VisionSimulation.prototype.isNoWards = function (x, y) {
+    var index = this.xy2index(x, y);
+    return index !== -1 && this.tools_no_wards[index] === 1;
+}
+
+/**
+ * Checks if a grid cell is an elevation wall for a viewer at the given elevation
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @param {number} elevation - Elevation of the viewer
+ * @returns {boolean} True if the cell is higher ground bordering the viewer's elevation
+ */
+VisionSimulation.prototype.isElevationWall = function (x, y, elevation) {
+    var index = this.xy2index(x, y);
+    if (index === -1) return false;
+    if (!this.elevationWalls[elevation]) this.elevationWalls[elevation] = generateElevationWalls(this.elevationGrid, this.gridWidth, this.gridHeight, elevation, this.logger);
+    return this.elevationWalls[elevation][index] === 1;
+}
+
+/**
+ * Returns the number of standing trees blocking a grid cell for a viewer at the given elevation
+ * 
+ * @param {number} x - X coordinate in the grid
+ * @param {number} y - Y coordinate in the grid
+ * @param {number} elevation - Elevation of the viewer, one of elevationValues
+ * @returns {number} Count of blocking trees
+ */
+VisionSimulation.prototype.getTreeWallCount = function (x, y, elevation) {
+    var index = this.xy2index(x, y);
+    return index === -1 || !this.treeWalls[elevation] ? 0 : this.treeWalls[elevation][index];
+}
+
+/**
+ * Converts world coordinates to grid coordinates
+ * 
+ * @param {number} wX - X coordinate in world space
+ * @param {number} wY - Y coordinate in world space
+ * @param {boolean} [bNoRound=false] - Whether to return exact coordinates or round to integers
+ * @returns {Object} Point object with grid coordinates
+ */
+VisionSimulation.prototype.WorldXYtoGridXY = function (wX, wY, bNoRound) {
+    var x = (wX - this.worldMinX) / 64,
+        y = (wY - this.worldMinY) / 64;
+    if (!bNoRound) {
+        x = parseInt(Math.round(x))
+        y = parseInt(Math.round(y))
+    }
+    return {x: x, y: y, key: x + ',' + y};
+}
+
+/**
+ * Converts grid coordinates to world coordinates
+ * 
+ * @param {number} gX - X coordinate in the grid
+ * @param {number} gY - Y coordinate in the grid
+ * @returns {Object} Point object with world coordinates
+ */
+VisionSimulation.prototype.GridXYtoWorldXY = function (gX, gY) {
+    return {x: gX * 64 + this.worldMinX, y: gY * 64 + this.worldMinY};
+}
+
+/**
+ * Converts grid coordinates to image coordinates
+ * Accounts for the y-axis flip between grid and image space
+ * 
+ * @param {number} gX - X coordinate in the grid
+ * @param {number} gY - Y coordinate in the grid
+ * @returns {Object} Point object with image coordinates
+ */
+VisionSimulation.prototype.GridXYtoImageXY = function (gX, gY) {
+    return {x: gX, y: this.gridHeight - gY - 1};
+}
+
+/**
+ * Converts image coordinates to grid coordinates
+ * Accounts for the y-axis flip between image and grid space
+ * 
+ * @param {number} x - X coordinate in the image
+ * @param {number} y - Y coordinate in the image
+ * @returns {Object} Point object with grid coordinates and key
+ */
+VisionSimulation.prototype.ImageXYtoGridXY = function (x, y) {
+    var gY = this.gridHeight - y - 1;
+    return {x: x, y: gY, key: x + ',' + gY};
+}
+
+/**
+ * Converts world coordinates to image coordinates
+ * Combines WorldXYtoGridXY and GridXYtoImageXY conversions
+ * 
+ * @param {number} wX - X coordinate in world space
+ * @param {number} wY - Y coordinate in world space
+ * @returns {Object} Point object with image coordinates
+ */
+VisionSimulation.prototype.WorldXYtoImageXY = function (wX, wY) {
     var pt = this.WorldXYtoGridXY(wX, wY);
     return this.GridXYtoImageXY(pt.x, pt.y);
 }
@@ -543,4 +2159,86 @@ VisionSimulation.prototype.xy2key = xy2key;
 VisionSimulation.prototype.xy2pt = xy2pt;
 VisionSimulation.prototype.pt2key = pt2key;
 
+/**
+ * Creates a ready VisionSimulation from precompiled map data produced by exportMapData
+ * 
+ * @param {Object|string} data - Precompiled map data, or its JSON string
+ * @param {Object} [opts] - Optional configuration settings passed to the constructor
+ * @returns {VisionSimulation} Initialized simulation
+ */
+VisionSimulation.fromMapData = function (data, opts) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    var vs = new VisionSimulation(data.worlddata, opts);
+    vs.loadMapData(data);
+    return vs;
+}
+
+/**
+ * Compares two visibility results, such as the lights before and after toggling a tree or moving a ward
+ * 
+ * @param {Object} before - Earlier visibility result with a lights map, or a lights map itself
+ * @param {Object} after - Later visibility result with a lights map, or a lights map itself
+ * @returns {Object} Diff with added and removed maps of cell keys, their sizes addedArea and removedArea,
+ * and netArea, the change in the number of visible cells
+ */
+VisionSimulation.diffVisibility = function (before, after) {
+    var beforeLights = before.lights && typeof before.lights === 'object' ? before.lights : before,
+        afterLights = after.lights && typeof after.lights === 'object' ? after.lights : after,
+        added = {},
+        removed = {},
+        addedArea = 0,
+        removedArea = 0;
+
+    for (var key in afterLights) {
+        if (!(key in beforeLights)) {
+            added[key] = 255;
+            addedArea++;
+        }
+    }
+    for (var key in beforeLights) {
+        if (!(key in afterLights)) {
+            removed[key] = 255;
+            removedArea++;
+        }
+    }
+    return {
+        added: added,
+        removed: removed,
+        addedArea: addedArea,
+        removedArea: removedArea,
+        netArea: addedArea - removedArea
+    };
+}
+
+/**
+ * Code of the error a pending initialize rejects with when a newer call supersedes it
+ */
+VisionSimulation.ERR_INITIALIZE_SUPERSEDED = 'ERR_INITIALIZE_SUPERSEDED';
+
+/**
+ * Time of day values accepted by setTimeOfDay
+ */
+VisionSimulation.DAY = 'day';
+VisionSimulation.NIGHT = 'night';
+
+/**
+ * Expose the team vision layer on the VisionSimulation constructor
+ */
+VisionSimulation.TeamVision = TeamVision;
+
+/**
+ * Expose the map version registry on the VisionSimulation constructor
+ */
+VisionSimulation.MapRegistry = MapRegistry;
+
+/**
+ * Expose the coverage heatmap on the VisionSimulation constructor
+ */
+VisionSimulation.Heatmap = Heatmap;
+
+/**
+ * Expose the vector outline export on the VisionSimulation constructor
+ */
+VisionSimulation.outline = outline;
+
 module.exports = VisionSimulation;
\ No newline at end of file
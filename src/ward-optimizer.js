@@ -0,0 +1,159 @@
+/**
+ * Ward Optimizer Module for Dota 2
+ *
+ * Searches the map for the observer ward spots that see the largest area.
+ * Every cell where a ward can be placed is a candidate, and candidates are
+ * ranked by the area visible from them, optionally weighting a region of interest.
+ *
+ * @module ward-optimizer
+ */
+
+/**
+ * Strides of the coarse-to-fine passes over the candidate cells
+ * Visiting every 8th cell first spreads the evaluated candidates over the
+ * whole search area when a time budget cuts the search short
+ * @type {Array<number>}
+ * @private
+ */
+var PASS_STRIDES = [8, 4, 2, 1];
+
+/**
+ * Creates a function returning the weight of a visible cell
+ *
+ * @param {Object|Function} [region] - Region of interest
+ * @param {number} [regionWeight] - Weight of the cells inside the region
+ * @returns {Function|null} Function taking x, y grid coordinates and returning the cell's weight, or null without a region
+ * @private
+ */
+function createWeightFunction(region, regionWeight) {
+    if (!region) return null;
+    if (typeof region === 'function') return region;
+    var inside;
+    if (region.radius !== undefined) {
+        inside = function (x, y) {
+            return (x - region.x) * (x - region.x) + (y - region.y) * (y - region.y) <= region.radius * region.radius;
+        };
+    }
+    else {
+        inside = function (x, y) {
+            return x >= region.minX && x <= region.maxX && y >= region.minY && y <= region.maxY;
+        };
+    }
+    return function (x, y) {
+        return inside(x, y) ? regionWeight : 1;
+    };
+}
+
+/**
+ * Inserts a spot into the ranking, keeping it sorted by score and at most count long
+ * Spots closer than minDistance to a better spot are dropped
+ *
+ * @param {Array<Object>} spots - Ranking sorted by descending score
+ * @param {Object} spot - Evaluated spot
+ * @param {number} count - Maximum number of spots to keep
+ * @param {number} minDistance - Minimum distance between kept spots in grid cells
+ * @private
+ */
+function insertSpot(spots, spot, count, minDistance) {
+    var minDistance2 = minDistance * minDistance;
+    for (var i = spots.length - 1; i >= 0; i--) {
+        var other = spots[i],
+            dx = other.x - spot.x,
+            dy = other.y - spot.y;
+        if (minDistance > 0 && dx * dx + dy * dy < minDistance2) {
+            if (other.score >= spot.score) return;
+            spots.splice(i, 1);
+        }
+    }
+    if (spots.length >= count && spots[spots.length - 1].score >= spot.score) return;
+    var index = spots.length;
+    while (index > 0 && spots[index - 1].score < spot.score) index--;
+    spots.splice(index, 0, spot);
+    if (spots.length > count) spots.pop();
+}
+
+/**
+ * Finds the observer ward spots with the highest coverage
+ * Candidates are the cells that pass isValidXY(x, y, true, true, true)
+ *
+ * @param {VisionSimulation} vs - Initialized vision simulation
+ * @param {Object} [opts] - Search settings
+ * @param {number} [opts.count=10] - Number of spots to return
+ * @param {number} [opts.radius] - Ward vision radius, defaults to the simulation's radius for the current time of day
+ * @param {number} [opts.step=1] - Only consider every step-th cell in each direction
+ * @param {Object} [opts.bounds] - Restrict candidates to {minX, minY, maxX, maxY} in grid coordinates
+ * @param {Object|Function} [opts.region] - Region of interest, a {minX, minY, maxX, maxY} rectangle, a {x, y, radius}
+ * circle, or a function taking x, y grid coordinates and returning the weight of a visible cell
+ * @param {number} [opts.regionWeight=2] - Weight of a visible cell inside a rectangle or circle region, other cells weigh 1
+ * @param {number} [opts.minDistance=0] - Minimum distance between returned spots in grid cells
+ * @param {number} [opts.timeBudget] - Maximum search time in milliseconds, the best spots found so far are returned when it runs out
+ * @returns {Object} Result with spots ({x, y, area, regionArea, score} sorted by descending score),
+ * evaluated and total candidate counts, and complete set to false if the time budget ran out
+ */
+function findWardSpots(vs, opts) {
+    opts = opts || {};
+    var count = opts.count || 10,
+        step = opts.step || 1,
+        bounds = opts.bounds || {minX: 0, minY: 0, maxX: vs.gridWidth - 1, maxY: vs.gridHeight - 1},
+        minX = Math.max(0, bounds.minX),
+        minY = Math.max(0, bounds.minY),
+        maxX = Math.min(vs.gridWidth - 1, bounds.maxX),
+        maxY = Math.min(vs.gridHeight - 1, bounds.maxY),
+        weight = createWeightFunction(opts.region, opts.regionWeight !== undefined ? opts.regionWeight : 2),
+        minDistance = opts.minDistance || 0,
+        deadline = opts.timeBudget !== undefined ? Date.now() + opts.timeBudget : Infinity,
+        visited = new Uint8Array(vs.gridWidth * vs.gridHeight),
+        spots = [],
+        evaluated = 0,
+        total = 0,
+        complete = true;
+
+    for (var y = minY; y <= maxY; y += step) {
+        for (var x = minX; x <= maxX; x += step) {
+            if (vs.isValidXY(x, y, true, true, true)) total++;
+        }
+    }
+
+    search:
+    for (var p = 0; p < PASS_STRIDES.length; p++) {
+        var stride = PASS_STRIDES[p] * step;
+        for (var y = minY; y <= maxY; y += stride) {
+            for (var x = minX; x <= maxX; x += stride) {
+                var index = vs.xy2index(x, y);
+                if (visited[index]) continue;
+                visited[index] = 1;
+                if (!vs.isValidXY(x, y, true, true, true)) continue;
+                if (evaluated > 0 && Date.now() >= deadline) {
+                    complete = false;
+                    break search;
+                }
+
+                var result = vs.computeVisibility(x, y, {radius: opts.radius}),
+                    score = result.lightArea,
+                    regionArea = 0;
+                if (weight) {
+                    score = 0;
+                    for (var i = 0; i < result.lightIndexes.length; i++) {
+                        var lx = result.lightIndexes[i] % vs.gridWidth,
+                            w = weight(lx, (result.lightIndexes[i] - lx) / vs.gridWidth);
+                        score += w;
+                        if (w !== 1) regionArea++;
+                    }
+                }
+                evaluated++;
+                insertSpot(spots, {x: x, y: y, area: result.lightArea, regionArea: regionArea, score: score}, count, minDistance);
+            }
+        }
+    }
+
+    return {
+        spots: spots,
+        evaluated: evaluated,
+        total: total,
+        complete: complete
+    };
+}
+
+module.exports = {
+    findWardSpots: findWardSpots
+};
@@ -0,0 +1,79 @@
+/**
+ * Worker Pool Module for Dota 2
+ *
+ * Starts the workers used by the batch module with Node worker_threads, and
+ * connects the worker script to the thread that started it. The browser build
+ * replaces this module with browser/worker-pool.js, which uses Web Workers.
+ *
+ * @module worker-pool
+ */
+var os = require("os");
+var path = require("path");
+var workerThreads = require("worker_threads");
+
+/**
+ * Path of the worker script
+ * @type {string}
+ * @private
+ */
+var WORKER_SCRIPT = path.join(__dirname, 'batch-worker.js');
+
+/**
+ * Returns the number of workers to start when no count is given
+ *
+ * @returns {number} Number of CPU cores
+ */
+function getDefaultWorkerCount() {
+    return Math.max(1, os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+}
+
+/**
+ * Starts a worker running the worker script
+ *
+ * @param {Object} [opts] - Worker settings
+ * @param {string} [opts.workerUrl] - Path of the worker script, defaults to batch-worker.js
+ * @returns {Object} Worker with postMessage(message), onMessage(callback), onError(callback) and terminate() methods
+ */
+function createWorker(opts) {
+    var worker = new workerThreads.Worker(opts && opts.workerUrl || WORKER_SCRIPT);
+    return {
+        postMessage: function (message) {
+            worker.postMessage(message);
+        },
+        onMessage: function (callback) {
+            worker.on('message', callback);
+        },
+        onError: function (callback) {
+            worker.on('error', callback);
+            worker.on('exit', function (code) {
+                if (code !== 0) callback(new Error('Worker stopped with exit code ' + code));
+            });
+        },
+        terminate: function () {
+            worker.terminate();
+        }
+    };
+}
+
+/**
+ * Returns the message port of the worker script to the thread that started it
+ *
+ * @returns {Object} Port with postMessage(message) and onMessage(callback) methods
+ */
+function getParentPort() {
+    var parentPort = workerThreads.parentPort;
+    return {
+        postMessage: function (message) {
+            parentPort.postMessage(message);
+        },
+        onMessage: function (callback) {
+            parentPort.on('message', callback);
+        }
+    };
+}
+
+module.exports = {
+    getDefaultWorkerCount: getDefaultWorkerCount,
+    createWorker: createWorker,
+    getParentPort: getParentPort
+};
@@ -4,6 +4,18 @@ var assert = require("assert");
 
 var vs;
 
+// copy of the map loaded below, for tests that change trees, obstacles or settings,
+// without load timings unless a logger is passed
+function copySimulation(opts) {
+    return VisionSimulation.fromMapData(vs.exportMapData({shared: true}), Object.assign({logger: null}, opts));
+}
+
+// tree the tree tests toggle, from the given simulation or the shared one
+function fixtureTree(simulation) {
+    simulation = simulation || vs;
+    return simulation.tree[Object.keys(simulation.tree)[50]];
+}
+
 before(function(done) {
     this.timeout(30000);
     vs = new VisionSimulation(worlddata);
@@ -21,4 +33,1246 @@ describe('VisionSimulation', function() {
         console.log(vs.lights);
         assert.ok(!!vs);
     });
-});
\ No newline at end of file
+    it('should merge vision from multiple sources', function() {
+        vs.updateVisibility(120, 120);
+        var a = Object.assign({}, vs.lights);
+        vs.updateVisibility(130, 120);
+        var b = Object.assign({}, vs.lights);
+
+        var result = vs.updateMultiVisibility([{x: 120, y: 120, id: 'ward'}, {x: 130, y: 120}]);
+        var expected = Object.keys(Object.assign({}, a, b)).sort();
+        assert.deepEqual(Object.keys(result.lights).sort(), expected);
+        assert.equal(result.lightArea, expected.length);
+        assert.deepEqual(result.lightSources['125,120'], ['ward', 1]);
+        assert.strictEqual(vs.lights, result.lights);
+    });
+});
+
+describe('TeamVision', function() {
+    it('should track visible cells per team without recomputing unchanged sources', function() {
+        var teams = new VisionSimulation.TeamVision(vs);
+        var calls = 0;
+        var computeVisibility = vs.computeVisibility;
+        vs.computeVisibility = function () {
+            calls++;
+            return computeVisibility.apply(this, arguments);
+        };
+        try {
+            teams.addSource(VisionSimulation.TeamVision.RADIANT, 'ward', {x: 120, y: 120});
+            teams.addSource(VisionSimulation.TeamVision.DIRE, 'hero', {x: 130, y: 120});
+            assert.equal(calls, 2);
+            assert.ok(teams.isVisible('radiant', 120, 120));
+            assert.ok(teams.isVisible('dire', 130, 120));
+            var radiant = teams.getVisibleCells('radiant'),
+                dire = teams.getVisibleCells('dire'),
+                exclusive = teams.getExclusiveCells('radiant');
+            for (var key in radiant) {
+                assert.equal(key in exclusive, !(key in dire));
+            }
+            assert.ok(!('125,120' in exclusive));
+            assert.ok(teams.removeSource('dire', 'hero'));
+            assert.ok('125,120' in teams.getExclusiveCells('radiant'));
+            assert.equal(calls, 2);
+        }
+        finally {
+            vs.computeVisibility = computeVisibility;
+            teams.destroy();
+        }
+    });
+
+    it('should only recompute the sources that reach a changed tree or obstacle', function() {
+        var vs2 = copySimulation(),
+            teams = new VisionSimulation.TeamVision(vs2),
+            calls = [],
+            computeVisibility = vs2.computeVisibility,
+            tree = fixtureTree(vs2),
+            near = {x: Math.floor(tree.x) + 4, y: Math.floor(tree.y), radius: 10},
+            far = {x: near.x < 130 ? near.x + 60 : near.x - 60, y: near.y, radius: 10};
+        teams.addSource('radiant', 'near', near);
+        teams.addSource('dire', 'far', far);
+        vs2.computeVisibility = function (x, y) {
+            calls.push(x + ',' + y);
+            return computeVisibility.apply(this, arguments);
+        };
+        vs2.toggleTree(Math.floor(tree.x), Math.floor(tree.y));
+        assert.deepEqual(calls, []);
+        assert.deepEqual(teams.getVisibleCells('radiant'), computeVisibility.call(vs2, near.x, near.y, near).lights);
+        teams.getVisibleCells('dire');
+        assert.deepEqual(calls, [near.x + ',' + near.y]);
+        vs2.addObstacle({id: 'o', x: far.x + 3, y: far.y, radius: 1, height: 1000});
+        teams.getVisibleCells('radiant');
+        assert.deepEqual(teams.getVisibleCells('dire'), computeVisibility.call(vs2, far.x, far.y, far).lights);
+        vs2.removeObstacle('o');
+        teams.getVisibleCells('dire');
+        assert.deepEqual(calls, [near.x + ',' + near.y, far.x + ',' + far.y, far.x + ',' + far.y]);
+        teams.destroy();
+        vs2.toggleTree(Math.floor(tree.x), Math.floor(tree.y));
+        teams.getVisibleCells('radiant');
+        assert.equal(calls.length, 3);
+    });
+});
+
+describe('Day and night', function() {
+    afterEach(function() {
+        vs.setTimeOfDay(VisionSimulation.DAY);
+    });
+    it('should use the night radius at night', function() {
+        vs.updateVisibility(120, 120);
+        var dayArea = vs.lightArea;
+        vs.setTimeOfDay(VisionSimulation.NIGHT);
+        assert.ok(vs.isNight());
+        vs.updateVisibility(120, 120);
+        assert.ok(vs.lightArea < dayArea);
+        assert.equal(vs.getSourceRadius({dayRadius: 28, nightRadius: 12}), 12);
+        assert.equal(vs.getSourceRadius({radius: 20, nightRadius: 12}), 20);
+        assert.throws(function () { vs.setTimeOfDay('dusk'); });
+    });
+    it('should recompute team sources when switching time of day', function() {
+        var teams = new VisionSimulation.TeamVision(vs);
+        teams.addSource('radiant', 'ward', {x: 120, y: 120, dayRadius: 25, nightRadius: 10});
+        teams.addSource('radiant', 'fixed', {x: 200, y: 200, radius: 10});
+        var dayCells = Object.keys(teams.getVisibleCells('radiant')).length;
+        teams.setTimeOfDay(VisionSimulation.NIGHT);
+        assert.ok(Object.keys(teams.getVisibleCells('radiant')).length < dayCells);
+        teams.destroy();
+    });
+    it('should recompute the sources when the time of day of the simulation is set', function() {
+        var vs2 = copySimulation(),
+            teams = new VisionSimulation.TeamVision(vs2),
+            events = [];
+        teams.addSource('dire', 'hero', {x: 130, y: 120});
+        vs2.updateVisibility(120, 120);
+        vs2.on('timeofdaychange', function (e) { events.push(e); });
+        vs2.setTimeOfDay(VisionSimulation.NIGHT);
+        vs2.setTimeOfDay(VisionSimulation.NIGHT);
+        assert.deepEqual(events, [{timeOfDay: VisionSimulation.NIGHT, previous: VisionSimulation.DAY}]);
+        assert.equal(vs2.lightArea, vs2.computeVisibility(120, 120).lightArea);
+        assert.deepEqual(Object.keys(vs2.lights).sort(), Object.keys(vs2.computeVisibility(120, 120).lights).sort());
+        assert.equal(Object.keys(teams.getVisibleCells('dire')).length, vs2.computeVisibility(130, 120).lightArea);
+        vs2.updateMultiVisibility([{x: 120, y: 120, dayRadius: 20, nightRadius: 8}]);
+        vs2.setTimeOfDay(VisionSimulation.DAY);
+        assert.equal(vs2.lightArea, vs2.computeVisibility(120, 120, {radius: 20}).lightArea);
+    });
+});
+
+describe('Flying vision', function() {
+    it('should only be limited by the radius', function() {
+        vs.updateVisibility(120, 120, 10);
+        var groundArea = vs.lightArea;
+        vs.updateVisibility(120, 120, 10, true);
+        assert.ok(vs.lightArea >= groundArea);
+        for (var x = 111; x < 130; x++) {
+            for (var y = 111; y < 130; y++) {
+                var inside = (x - 120) * (x - 120) + (y - 120) * (y - 120) < 100;
+                if (inside) assert.ok(vs.xy2key(x, y) in vs.lights, x + ',' + y);
+            }
+        }
+        var result = vs.updateMultiVisibility([{x: 120, y: 120, radius: 10, flying: true}]);
+        assert.equal(result.lightArea, vs.lightArea);
+    });
+});
+
+describe('computeVisibility', function() {
+    it('should return a result without modifying the instance', function() {
+        vs.updateVisibility(120, 120);
+        var lights = vs.lights;
+        var a = vs.computeVisibility(130, 120);
+        var b = vs.computeVisibility(120, 120, {radius: 10});
+        assert.strictEqual(vs.lights, lights);
+        assert.ok(Object.isFrozen(a) && Object.isFrozen(a.lights));
+        assert.equal(a.x, 130);
+        assert.equal(b.radius, 10);
+        assert.equal(a.lightArea, Object.keys(a.lights).length);
+        assert.ok(b.lightArea < Object.keys(lights).length);
+        assert.equal(a.elevation, vs.getElevation(130, 120));
+    });
+    it('should leave the lights of updateVisibility modifiable', function() {
+        'use strict';
+        vs.updateVisibility(120, 120);
+        var key = Object.keys(vs.lights)[0];
+        assert.ok(!Object.isFrozen(vs.lights));
+        delete vs.lights[key];
+        assert.equal(vs.lights[key], undefined);
+        assert.equal(vs.lastVisibility.lights[key], 255);
+    });
+});
+
+describe('Grid layers', function() {
+    it('should store layers as flat typed arrays', function() {
+        var size = vs.gridWidth * vs.gridHeight;
+        [vs.gridnav, vs.ent_fow_blocker_node, vs.tools_no_wards, vs.elevationGrid].forEach(function (layer) {
+            assert.ok(layer instanceof Uint8Array);
+            assert.equal(layer.length, size);
+        });
+        assert.equal(vs.xy2index(3, 2), 2 * vs.gridWidth + 3);
+        assert.equal(vs.xy2index(-1, 2), -1);
+        assert.equal(vs.xy2index(vs.gridWidth, 0), -1);
+        assert.deepEqual(vs.index2pt(vs.xy2index(3, 2)), vs.xy2pt(3, 2));
+        assert.equal(vs.getElevation(-1, 0), undefined);
+        assert.equal(vs.isGridnavBlocked(-1, 0), false);
+    });
+    it('should keep tree wall counts in sync when toggling trees', function() {
+        var key = Object.keys(vs.tree_relations)[0],
+            pt = vs.key2pt(key),
+            elevation = Math.min.apply(null, vs.elevationValues),
+            count = vs.getTreeWallCount(pt.x, pt.y, elevation);
+        assert.ok(count > 0);
+        vs.toggleTree(pt.x, pt.y);
+        assert.equal(vs.getTreeWallCount(pt.x, pt.y, elevation), 0);
+        vs.toggleTree(pt.x, pt.y);
+        assert.equal(vs.getTreeWallCount(pt.x, pt.y, elevation), count);
+    });
+    it('should index lit cells and trees by flat grid index', function() {
+        var result = vs.computeVisibility(120, 120),
+            pt = vs.key2pt(Object.keys(vs.tree_relations)[0]),
+            treePt = vs.treeCells[vs.xy2index(pt.x, pt.y)][0];
+        assert.equal(result.lightIndexes.length, result.lightArea);
+        assert.deepEqual(result.lightIndexes.map(function (i) {
+            return vs.index2pt(i).key;
+        }).sort(), Object.keys(result.lights).sort());
+        assert.strictEqual(vs.treeOrigins[treePt.index], vs.tree[treePt.key]);
+        assert.equal(vs.treeTops[treePt.index], vs.tree_elevations[treePt.key]);
+        vs.toggleTree(pt.x, pt.y);
+        assert.equal(vs.treeStanding[treePt.index], 0);
+        vs.toggleTree(pt.x, pt.y);
+        assert.equal(vs.treeStanding[treePt.index], 1);
+    });
+});
+
+describe('Precompiled map data', function() {
+    it('should rebuild an equivalent simulation', function() {
+        var data = JSON.parse(JSON.stringify(vs.exportMapData()));
+        var vs2 = VisionSimulation.fromMapData(data);
+        assert.ok(vs2.ready);
+        assert.deepEqual(vs2.elevationGrid, vs.elevationGrid);
+        assert.deepEqual(vs2.tree_blocks, vs.tree_blocks);
+        assert.deepEqual(vs2.exportMapData(), data);
+        [[120, 120], [130, 120], [60, 190]].forEach(function (pt) {
+            assert.deepEqual(vs2.computeVisibility(pt[0], pt[1]).lights, vs.computeVisibility(pt[0], pt[1]).lights);
+        });
+    });
+    it('should reject unknown or mismatched map data', function() {
+        var data = vs.exportMapData();
+        assert.throws(function () { vs.loadMapData({format: 'png'}); }, /Invalid map data format/);
+        var other = new VisionSimulation({worldMinX: -4096, worldMaxX: 4096, worldMinY: -4096, worldMaxY: 4096});
+        assert.throws(function () { other.loadMapData(data); }, /world boundaries/);
+    });
+});
+
+describe('initialize', function() {
+    this.timeout(30000);
+    it('should resolve a promise with the ready simulation', function() {
+        var vs2 = new VisionSimulation(worlddata);
+        return vs2.initialize('./www/map_data.png').then(function (result) {
+            assert.strictEqual(result, vs2);
+            assert.ok(vs2.ready);
+        });
+    });
+    it('should reject a call superseded by a newer one', function() {
+        var vs2 = new VisionSimulation(worlddata),
+            called = false;
+        var first = vs2.initialize('./www/map_data.png', function () { called = true; });
+        var second = vs2.initialize('./www/map_data.png');
+        return first.then(function () {
+            assert.fail('superseded initialize should reject');
+        }, function (err) {
+            assert.equal(err.code, VisionSimulation.ERR_INITIALIZE_SUPERSEDED);
+            return second;
+        }).then(function () {
+            assert.ok(vs2.ready);
+            assert.ok(!called);
+        });
+    });
+    it('should reject when aborted', function() {
+        var vs2 = new VisionSimulation(worlddata),
+            controller = new AbortController(),
+            callbackErr;
+        var promise = vs2.initialize('./www/map_data.png', function (err) { callbackErr = err; }, {signal: controller.signal});
+        controller.abort();
+        return promise.then(function () {
+            assert.fail('aborted initialize should reject');
+        }, function (err) {
+            assert.equal(err.name, 'AbortError');
+            assert.strictEqual(callbackErr, err);
+            assert.ok(!vs2.ready);
+        });
+    });
+    it('should keep the loaded map when the signal is already aborted', function() {
+        var vs2 = copySimulation(),
+            controller = new AbortController(),
+            treeCount = Object.keys(vs2.tree).length;
+        controller.abort();
+        return vs2.initialize('./www/map_data.png', {signal: controller.signal}).then(function () {
+            assert.fail('aborted initialize should reject');
+        }, function (err) {
+            assert.equal(err.name, 'AbortError');
+            assert.ok(vs2.ready);
+            assert.equal(Object.keys(vs2.tree).length, treeCount);
+            assert.equal(vs2.computeVisibility(120, 120).lightArea, vs.computeVisibility(120, 120).lightArea);
+        });
+    });
+});
+
+describe('initialize from memory', function() {
+    this.timeout(30000);
+    var fs = require('fs');
+    var PNG = require('pngjs').PNG;
+    var bytes = fs.readFileSync('./www/map_data.png');
+
+    function assertSameMap(vs2) {
+        assert.ok(vs2.ready);
+        assert.deepEqual(vs2.elevationGrid, vs.elevationGrid);
+        assert.deepEqual(vs2.gridnav, vs.gridnav);
+        assert.deepEqual(Object.keys(vs2.tree), Object.keys(vs.tree));
+    }
+
+    it('should initialize from a Buffer', function() {
+        var vs2 = new VisionSimulation(worlddata);
+        return vs2.initialize(bytes).then(assertSameMap);
+    });
+    it('should initialize from an ArrayBuffer', function() {
+        var vs2 = new VisionSimulation(worlddata);
+        return vs2.initialize(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)).then(assertSameMap);
+    });
+    it('should initialize from a Blob', function() {
+        var vs2 = new VisionSimulation(worlddata);
+        return vs2.initialize(new Blob([bytes], {type: 'image/png'})).then(assertSameMap);
+    });
+    it('should initialize from raw RGBA pixels', function() {
+        var png = PNG.sync.read(bytes),
+            vs2 = new VisionSimulation(worlddata);
+        return vs2.initialize({data: new Uint8Array(png.data), width: png.width, height: png.height}).then(assertSameMap);
+    });
+    it('should reject raw pixels that do not match their dimensions', function() {
+        var vs2 = new VisionSimulation(worlddata);
+        return vs2.initialize({data: new Uint8Array(10), width: 2, height: 2}).then(function () {
+            assert.fail('initialize should reject');
+        }, function (err) {
+            assert.ok(/does not match/.test(err.message));
+        });
+    });
+});
+
+describe('MapRegistry', function() {
+    this.timeout(30000);
+    it('should share parsed map data between simulations of a version', function() {
+        var registry = new VisionSimulation.MapRegistry();
+        registry.register('7.36', {worlddata: worlddata, image: './www/map_data.png'});
+        registry.register('7.35', {mapData: vs.exportMapData()});
+        assert.deepEqual(registry.list(), ['7.36', '7.35']);
+        assert.throws(function () { registry.register('7.36', {mapData: {}}); }, /already registered/);
+        assert.throws(function () { registry.createSync('7.36'); }, /not loaded/);
+        return Promise.all([registry.create('7.36'), registry.create('7.36'), registry.create('7.35')]).then(function (sims) {
+            assert.equal(sims[0].mapVersion, '7.36');
+            assert.notStrictEqual(sims[0], sims[1]);
+            assert.strictEqual(sims[0].elevationGrid, sims[1].elevationGrid);
+            assert.notStrictEqual(sims[0].tree_state, sims[1].tree_state);
+            assert.notStrictEqual(sims[0].elevationGrid, sims[2].elevationGrid);
+
+            var pt = vs.key2pt(Object.keys(sims[0].tree_relations)[0]);
+            sims[0].toggleTree(pt.x, pt.y);
+            assert.notDeepEqual(sims[0].tree_state, sims[1].tree_state);
+            return registry.create('missing').then(function () {
+                assert.fail('unknown version should reject');
+            }, function (err) {
+                assert.ok(/Unknown map version/.test(err.message));
+            });
+        });
+    });
+});
+
+describe('Tree regrowth', function() {
+    it('should regrow destroyed trees when the clock advances', function() {
+        var vs2 = copySimulation({treeRegrowTime: 240}),
+            pt = vs.key2pt(Object.keys(vs2.tree_relations)[0]),
+            treeKey = vs2.tree_relations[pt.key][0].key,
+            elevation = Math.min.apply(null, vs2.elevationValues);
+
+        vs2.advanceTime(10);
+        assert.ok(vs2.cutTree(pt.x, pt.y));
+        assert.ok(!vs2.cutTree(pt.x, pt.y));
+        assert.equal(vs2.getTreeWallCount(pt.x, pt.y, elevation), 0);
+        var cut = vs2.getCutTrees();
+        assert.equal(cut[0].key, treeKey);
+        assert.equal(cut[0].cutTime, 10);
+        assert.equal(cut[0].regrowTime, 250);
+
+        assert.deepEqual(vs2.advanceTime(200), []);
+        assert.ok(!vs2.tree_state[treeKey]);
+        var regrown = vs2.setTime(250);
+        assert.ok(regrown.some(function (tree) { return tree.key === treeKey; }));
+        assert.ok(vs2.tree_state[treeKey]);
+        assert.ok(vs2.getTreeWallCount(pt.x, pt.y, elevation) > 0);
+        assert.deepEqual(vs2.getCutTrees(), []);
+        assert.throws(function () { vs2.setTime(0); }, /backwards/);
+    });
+    it('should accept a regrow time of 0 and reject invalid times', function() {
+        var vs2 = copySimulation({treeRegrowTime: 0}),
+            pt = vs.key2pt(Object.keys(vs2.tree_relations)[0]),
+            treeKey = vs2.tree_relations[pt.key][0].key;
+
+        vs2.cutTree(pt.x, pt.y);
+        assert.equal(vs2.getCutTrees()[0].regrowTime, 0);
+        vs2.advanceTime(0);
+        assert.ok(vs2.tree_state[treeKey]);
+        assert.throws(function () { vs2.setTime(NaN); }, /Invalid simulation time/);
+        assert.throws(function () { vs2.setTime('10'); }, /Invalid simulation time/);
+        assert.throws(function () { vs2.advanceTime(); }, /Invalid simulation time/);
+        assert.equal(vs2.time, 0);
+    });
+});
+
+describe('Ward optimizer', function() {
+    var bounds = {minX: 110, minY: 110, maxX: 130, maxY: 130};
+
+    it('should rank valid ward spots by visible area', function() {
+        var result = vs.findWardSpots({count: 3, step: 2, bounds: bounds});
+        assert.ok(result.complete);
+        assert.equal(result.evaluated, result.total);
+        assert.equal(result.spots.length, 3);
+        result.spots.forEach(function (spot, i) {
+            assert.ok(vs.isValidXY(spot.x, spot.y, true, true, true));
+            assert.equal(spot.area, vs.computeVisibility(spot.x, spot.y).lightArea);
+            assert.equal(spot.score, spot.area);
+            if (i > 0) assert.ok(result.spots[i - 1].score >= spot.score);
+        });
+    });
+
+    it('should weight the region of interest', function() {
+        var region = {minX: 100, minY: 100, maxX: 110, maxY: 110},
+            result = vs.findWardSpots({count: 1, step: 2, bounds: bounds, region: region, regionWeight: 5}),
+            spot = result.spots[0];
+        assert.equal(spot.score, spot.area + 4 * spot.regionArea);
+    });
+
+    it('should stop when the time budget runs out', function() {
+        var result = vs.findWardSpots({count: 2, timeBudget: 0});
+        assert.ok(!result.complete);
+        assert.ok(result.evaluated >= 1 && result.evaluated < result.total);
+        assert.ok(result.spots.length >= 1);
+    });
+});
+
+describe('Heatmap', function() {
+    var bounds = {minX: 115, minY: 115, maxX: 124, maxY: 124};
+
+    it('should record the visible area of every valid ward cell', function() {
+        var heatmap = new VisionSimulation.Heatmap(vs, {radius: 10, bounds: bounds});
+        assert.ok(heatmap.run());
+        assert.equal(heatmap.getProgress(), 1);
+        for (var x = 110; x < 130; x++) {
+            for (var y = 110; y < 130; y++) {
+                var inside = x >= 115 && x <= 124 && y >= 115 && y <= 124,
+                    expected = inside && vs.isValidXY(x, y, true, true, true) ? vs.computeVisibility(x, y, {radius: 10}).lightArea : 0;
+                assert.equal(heatmap.getValue(x, y), expected);
+            }
+        }
+    });
+
+    it('should resume a saved sweep', function() {
+        var full = new VisionSimulation.Heatmap(vs, {radius: 10, bounds: bounds}),
+            partial = new VisionSimulation.Heatmap(vs, {radius: 10, bounds: bounds});
+        full.run();
+        assert.ok(!partial.run({limit: 20}));
+        assert.ok(partial.getProgress() > 0 && partial.getProgress() < 1);
+
+        var resumed = VisionSimulation.Heatmap.fromJSON(vs, JSON.stringify(partial));
+        assert.equal(resumed.key, full.key);
+        assert.ok(resumed.run());
+        assert.deepEqual(resumed.values, full.values);
+
+        var other = new VisionSimulation.Heatmap(vs, {radius: 12, bounds: bounds});
+        assert.notEqual(other.key, full.key);
+        var data = partial.toJSON();
+        data.radius = 12;
+        assert.throws(function () { VisionSimulation.Heatmap.fromJSON(vs, data); }, /different/);
+    });
+
+    it('should render pixels aligned with the map data image', function() {
+        var heatmap = new VisionSimulation.Heatmap(vs, {radius: 10, bounds: bounds});
+        heatmap.run();
+        var image = heatmap.toImageData({colormap: 'heat'}),
+            pt = vs.GridXYtoImageXY(120, 120),
+            idx = (pt.y * image.width + pt.x) * 4;
+        assert.equal(image.width, vs.gridWidth);
+        assert.equal(image.height, vs.gridHeight);
+        assert.equal(image.data[idx + 3], heatmap.isSwept(120, 120) ? 255 : 0);
+        assert.equal(image.data[3], 0);
+    });
+
+    it('should keep counts above 65535 and tell swept cells apart', function() {
+        var heatmap = new VisionSimulation.Heatmap(vs, {radius: 10, bounds: bounds}),
+            x, y;
+        heatmap.run();
+        for (x = 115; x <= 124; x++) {
+            for (y = 115; y <= 124; y++) {
+                assert.equal(heatmap.isSwept(x, y), vs.isValidXY(x, y, true, true, true));
+            }
+        }
+        assert.ok(!heatmap.isSwept(0, 0));
+
+        var data = heatmap.toJSON(),
+            index = vs.xy2index(0, 0);
+        data.values[index] = 70000;
+        data.swept[index] = 1;
+        data.values[index + 1] = 0;
+        data.swept[index + 1] = 1;
+        var restored = VisionSimulation.Heatmap.fromJSON(vs, data);
+        assert.equal(restored.getValue(0, 0), 70000);
+        assert.equal(restored.getMax(), 70000);
+        assert.ok(restored.isSwept(1, 0));
+        assert.equal(restored.toImageData().data[(vs.GridXYtoImageXY(1, 0).y * vs.gridWidth + 1) * 4 + 3], 255);
+    });
+});
+
+describe('canSee', function() {
+    it('should match the lights of a full visibility computation', function() {
+        [[120, 120, 25, false], [150, 100, 16, false], [100, 150, 10, true]].forEach(function (c) {
+            var result = vs.computeVisibility(c[0], c[1], {radius: c[2], flying: c[3]});
+            for (var x = c[0] - c[2]; x <= c[0] + c[2]; x++) {
+                for (var y = c[1] - c[2]; y <= c[1] + c[2]; y++) {
+                    assert.equal(vs.canSee({x: c[0], y: c[1]}, {x: x, y: y}, c[2], c[3]), (x + "," + y) in result.lights, x + "," + y);
+                }
+            }
+        });
+    });
+
+    it('should not see targets outside the radius or the grid', function() {
+        assert.ok(!vs.canSee({x: 120, y: 120}, {x: 150, y: 120}, 10));
+        assert.ok(!vs.canSee({x: 1, y: 1}, {x: -1, y: 1}, 10));
+        assert.throws(function () { vs.canSee({x: -1, y: 1}, {x: 1, y: 1}); }, /out of bounds/);
+    });
+});
+
+describe('Obstacles', function() {
+    var vs2;
+
+    before(function() {
+        vs2 = copySimulation();
+    });
+
+    afterEach(function() {
+        vs2.clearObstacles();
+    });
+
+    it('should block vision through a circle obstacle', function() {
+        var before = vs2.computeVisibility(120, 120, {radius: 10});
+        var id = vs2.addObstacle({x: 123, y: 120, radius: 1});
+        assert.ok(vs2.isObstacle(123, 120));
+        assert.ok(vs2.isObstacle(124, 120));
+        assert.ok(!vs2.isObstacle(125, 120));
+        var after = vs2.computeVisibility(120, 120, {radius: 10});
+        assert.ok(after.lightArea < before.lightArea);
+        assert.ok(!('128,120' in after.lights));
+        assert.ok(!vs2.canSee({x: 120, y: 120}, {x: 128, y: 120}, 10));
+        assert.ok(vs2.computeVisibility(120, 120, {radius: 10, flying: true}).lights['128,120']);
+
+        assert.ok(vs2.removeObstacle(id));
+        assert.ok(!vs2.removeObstacle(id));
+        assert.deepEqual(vs2.computeVisibility(120, 120, {radius: 10}).lights, before.lights);
+    });
+
+    it('should rasterize polygon footprints', function() {
+        vs2.addObstacle({id: 'wall', points: [[122, 110], [124, 110], [124, 130], [122, 130]]});
+        var obstacle = vs2.getObstacle('wall');
+        // edges on the right and top are excluded so adjacent polygons never cover a cell twice
+        assert.equal(obstacle.cells.length, 2 * 20);
+        assert.ok(vs2.isObstacle(122, 110));
+        assert.ok(vs2.isObstacle(123, 129));
+        assert.ok(!vs2.isObstacle(124, 120));
+        assert.ok(!vs2.isObstacle(123, 130));
+        assert.equal(vs2.getObstacles().length, 1);
+    });
+
+    it('should only block viewers below the top of the obstacle', function() {
+        var elevation = vs2.getElevation(120, 120),
+            ground = vs2.getElevation(123, 120);
+        vs2.addObstacle({x: 123, y: 120, radius: 1, height: elevation - ground + 1});
+        assert.ok(vs2.isObstacle(123, 120, elevation));
+        assert.ok(!vs2.isObstacle(123, 120, elevation + 1));
+        vs2.addObstacle({id: 'low', x: 123, y: 115, radius: 1, height: 0});
+        assert.ok(!vs2.isObstacle(123, 115, elevation));
+    });
+
+    it('should expire obstacles when the clock reaches their expire time', function() {
+        vs2.addObstacle({id: 'shards', x: 123, y: 120, radius: 1, duration: 5});
+        vs2.addObstacle({id: 'sprout', x: 110, y: 120, radius: 1, expireTime: vs2.time + 10});
+        vs2.advanceTime(5);
+        assert.ok(!vs2.getObstacle('shards'));
+        assert.ok(!vs2.isObstacle(123, 120));
+        assert.ok(vs2.getObstacle('sprout'));
+        vs2.advanceTime(5);
+        assert.deepEqual(vs2.getObstacles(), []);
+    });
+});
+
+describe('PNG export', function() {
+    var render = require('../src/render.js'),
+        colors = require('../src/colors.js');
+
+    function pixel(image, x, y) {
+        var idx = (y * image.width + x) * 4;
+        return Array.prototype.slice.call(image.data, idx, idx + 4);
+    }
+
+    it('should draw a mask in the demo colors', function() {
+        var result = vs.computeVisibility(120, 120, {radius: 10}),
+            image = render.renderVisibility(vs, result, {zoom: 2}),
+            center = vs.GridXYtoImageXY(120, 120),
+            lit = vs.GridXYtoImageXY(121, 120);
+        assert.equal(image.width, vs.gridWidth * 2);
+        assert.equal(image.height, vs.gridHeight * 2);
+        assert.deepEqual(pixel(image, center.x * 2 + 1, center.y * 2 + 1), colors.COLOR_LIGHT_CENTER.concat(255));
+        assert.deepEqual(pixel(image, lit.x * 2, lit.y * 2), colors.COLOR_LIGHT.concat(255));
+        assert.deepEqual(pixel(image, 0, 0), [0, 0, 0, 0]);
+    });
+
+    it('should draw an overlay on the elevation layer', function() {
+        var result = vs.computeVisibility(120, 120, {radius: 10}),
+            image = render.renderVisibility(vs, result, {mode: 'overlay', opacity: 0.5}),
+            elevation = vs.getElevation(0, vs.gridHeight - 1),
+            center = vs.GridXYtoImageXY(120, 120);
+        assert.deepEqual(pixel(image, 0, 0), [elevation, elevation, elevation, 255]);
+        assert.notDeepEqual(pixel(image, center.x, center.y), colors.COLOR_LIGHT_CENTER.concat(255));
+    });
+
+    it('should encode a PNG', function() {
+        return render.getVisibilityPNG(vs, vs.computeVisibility(120, 120), {zoom: 3}).then(function (buffer) {
+            var png = require('pngjs').PNG.sync.read(buffer);
+            assert.equal(png.width, vs.gridWidth * 3);
+            assert.equal(png.height, vs.gridHeight * 3);
+        });
+    });
+});
+
+describe('Vector outlines', function() {
+    var outline = VisionSimulation.outline;
+
+    it('should trace polygons with holes', function() {
+        var lights = {};
+        for (var x = 10; x < 15; x++) {
+            for (var y = 10; y < 15; y++) {
+                if (x !== 12 || y !== 12) lights[x + "," + y] = 255;
+            }
+        }
+        // cells only touching diagonally are separate polygons
+        lights["15,15"] = 255;
+        lights["16,16"] = 255;
+        var polygons = outline.traceGrid(vs, lights);
+        assert.equal(polygons.length, 3);
+        assert.deepEqual(polygons[0], [
+            [[9.5, 9.5], [14.5, 9.5], [14.5, 14.5], [9.5, 14.5]],
+            [[11.5, 11.5], [11.5, 12.5], [12.5, 12.5], [12.5, 11.5]]
+        ]);
+    });
+
+    it('should cover exactly the lit cells in world coordinates', function() {
+        var result = vs.computeVisibility(120, 120, {radius: 15}),
+            polygons = outline.tracePolygons(vs, result),
+            area = 0;
+        polygons.forEach(function (polygon) {
+            polygon.forEach(function (ring) {
+                for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]) / 2;
+                }
+            });
+        });
+        assert.equal(area, result.lightArea * 64 * 64);
+        var corner = vs.GridXYtoWorldXY(-0.5, -0.5);
+        assert.ok(polygons[0][0].every(function (pt) { return (pt[0] - corner.x) % 64 === 0 && (pt[1] - corner.y) % 64 === 0; }));
+    });
+
+    it('should export GeoJSON and SVG', function() {
+        var lights = {"10,10": 255},
+            feature = outline.toGeoJSON(vs, lights, {name: 'ward'}),
+            world = vs.GridXYtoWorldXY(9.5, 9.5);
+        assert.equal(feature.geometry.type, 'MultiPolygon');
+        assert.deepEqual(feature.properties, {name: 'ward'});
+        assert.equal(feature.geometry.coordinates[0][0].length, 5);
+        assert.deepEqual(feature.geometry.coordinates[0][0][0], [world.x, world.y]);
+        assert.equal(outline.toSVGPath(vs, lights, {space: 'image', zoom: 2}), 'M20 ' + (vs.gridHeight - 10) * 2 + 'L22 ' + (vs.gridHeight - 10) * 2 + 'L22 ' + (vs.gridHeight - 11) * 2 + 'L20 ' + (vs.gridHeight - 11) * 2 + 'Z');
+        assert.ok(/^<svg[^>]*><path [^>]*d="M/.test(outline.toSVG(vs, lights)));
+    });
+});
+
+describe('Visibility diff', function() {
+    it('should list gained and lost cells', function() {
+        var diff = VisionSimulation.diffVisibility({lights: {"1,1": 255, "1,2": 255}}, {"1,2": 255, "2,2": 255, "3,2": 255});
+        assert.deepEqual(diff.added, {"2,2": 255, "3,2": 255});
+        assert.deepEqual(diff.removed, {"1,1": 255});
+        assert.equal(diff.addedArea, 2);
+        assert.equal(diff.removedArea, 1);
+        assert.equal(diff.netArea, 1);
+    });
+
+    it('should compare positions one cell apart', function() {
+        var before = vs.computeVisibility(120, 120),
+            after = vs.computeVisibility(121, 120),
+            diff = VisionSimulation.diffVisibility(before, after);
+        assert.equal(diff.netArea, after.lightArea - before.lightArea);
+        for (var key in diff.added) assert.ok(key in after.lights && !(key in before.lights));
+        for (var key in diff.removed) assert.ok(key in before.lights && !(key in after.lights));
+        assert.deepEqual(VisionSimulation.diffVisibility(after, after).netArea, 0);
+    });
+});
+
+describe('Events', function() {
+    var vs2;
+
+    beforeEach(function() {
+        vs2 = copySimulation();
+    });
+
+    it('should emit ready when map data is loaded', function() {
+        var vs3 = new VisionSimulation(worlddata),
+            events = [];
+        vs3.on('ready', function (e) { events.push(e); });
+        vs3.loadMapData(vs.exportMapData({shared: true}));
+        assert.deepEqual(events, [{source: 'mapData'}]);
+        return vs3.initialize('./www/map_data.png').then(function () {
+            assert.deepEqual(events[1], {source: 'image'});
+        });
+    });
+
+    it('should emit treechange for every tree that changes', function() {
+        var events = [],
+            pt = vs.key2pt(Object.keys(vs2.tree_relations)[0]);
+        vs2.on('treechange', function (e) { events.push(e); });
+        vs2.toggleTree(pt.x, pt.y);
+        assert.equal(events.length, vs2.tree_relations[pt.key].length);
+        assert.equal(events[0].key, vs2.tree_relations[pt.key][0].key);
+        assert.equal(events[0].standing, false);
+        assert.ok(events[0].blocks.some(function (block) { return block.key === pt.key; }));
+        vs2.advanceTime(vs2.treeRegrowTime);
+        assert.equal(events[events.length - 1].standing, true);
+        assert.ok(!vs2.cutTree(-10, -10));
+        assert.equal(events.length, 2 * vs2.tree_relations[pt.key].length);
+    });
+
+    it('should emit visibilitychange with the previous lights', function() {
+        var events = [];
+        vs2.on('visibilitychange', function (e) { events.push(e); });
+        vs2.updateVisibility(120, 120);
+        var first = vs2.lights;
+        vs2.updateMultiVisibility([{x: 121, y: 120}]);
+        assert.equal(events.length, 2);
+        assert.equal(events[0].x, 120);
+        assert.equal(events[0].lights, first);
+        assert.equal(events[1].previousLights, first);
+        assert.equal(events[1].lightArea, vs2.lightArea);
+    });
+
+    it('should only emit visibilitychange when the visible cells change', function() {
+        var events = [];
+        vs2.on('visibilitychange', function (e) { events.push(e); });
+        vs2.updateVisibility(120, 120);
+        vs2.updateVisibility(120, 120);
+        vs2.updateMultiVisibility([{x: 120, y: 120}]);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].netArea, vs2.lightArea);
+        vs2.updateVisibility(121, 120);
+        var diff = VisionSimulation.diffVisibility(events[0].lights, vs2.lights);
+        assert.equal(events.length, 2);
+        assert.deepEqual(events[1].added, diff.added);
+        assert.deepEqual(events[1].removed, diff.removed);
+        assert.equal(events[1].netArea, diff.netArea);
+    });
+
+    it('should not take an error thrown by a ready listener for a load failure', function() {
+        var vs3 = new VisionSimulation(worlddata),
+            mochaHandlers = process.listeners('uncaughtException'),
+            thrown = new Promise(function (resolve) {
+                process.removeAllListeners('uncaughtException');
+                process.once('uncaughtException', resolve);
+            });
+        vs3.once('ready', function () { throw new Error('listener error'); });
+        return Promise.all([vs3.initialize('./www/map_data.png'), thrown]).then(function (values) {
+            assert.ok(values[0].ready);
+            assert.equal(values[1].message, 'listener error');
+        }).finally(function () {
+            mochaHandlers.forEach(function (handler) { process.on('uncaughtException', handler); });
+        });
+    });
+
+    it('should emit obstaclechange when obstacles change', function() {
+        var events = [];
+        vs2.on('obstaclechange', function (e) { events.push(e); });
+        vs2.addObstacle({id: 'a', x: 120, y: 120, radius: 1, duration: 1});
+        vs2.addObstacle({id: 'b', x: 110, y: 120, radius: 1});
+        vs2.removeObstacle('b');
+        vs2.advanceTime(1);
+        assert.deepEqual(events.map(function (e) { return e.type + ' ' + e.id; }), ['add a', 'add b', 'remove b', 'expire a']);
+        assert.equal(events[2].obstacle, null);
+        assert.equal(events[2].previous.id, 'b');
+    });
+});
+
+describe('Undo and redo', function() {
+    var vs2;
+
+    beforeEach(function() {
+        vs2 = copySimulation();
+    });
+
+    it('should undo and redo a tree toggle as one edit', function() {
+        var pt = vs.key2pt(Object.keys(vs2.tree_relations)[0]),
+            before = vs2.computeVisibility(120, 120).lightArea;
+        assert.ok(!vs2.canUndo());
+        vs2.toggleTree(pt.x, pt.y);
+        var after = vs2.computeVisibility(120, 120).lightArea;
+        assert.ok(vs2.isValidXY(pt.x, pt.y, true, false, true));
+        assert.ok(vs2.undo());
+        assert.ok(!vs2.isValidXY(pt.x, pt.y, true, false, true));
+        assert.equal(vs2.computeVisibility(120, 120).lightArea, before);
+        assert.ok(!vs2.undo());
+        assert.ok(vs2.redo());
+        assert.ok(vs2.isValidXY(pt.x, pt.y, true, false, true));
+        assert.equal(vs2.computeVisibility(120, 120).lightArea, after);
+        assert.ok(!vs2.canRedo());
+    });
+
+    it('should undo obstacle edits and discard redo after a new edit', function() {
+        vs2.addObstacle({id: 'a', x: 120, y: 120, radius: 1});
+        vs2.addObstacle({id: 'a', x: 100, y: 100, radius: 2});
+        vs2.addObstacle({id: 'b', x: 110, y: 110, radius: 1});
+        vs2.clearObstacles();
+        assert.ok(vs2.undo());
+        assert.deepEqual(vs2.getObstacles().map(function (o) { return o.id; }).sort(), ['a', 'b']);
+        vs2.undo();
+        vs2.undo();
+        assert.equal(vs2.getObstacle('a').x, 120);
+        assert.ok(vs2.isObstacle(120, 120));
+        assert.ok(!vs2.isObstacle(100, 100));
+        vs2.removeObstacle('a');
+        assert.ok(!vs2.canRedo());
+        assert.ok(vs2.undo());
+        assert.ok(vs2.isObstacle(120, 120));
+    });
+
+    it('should not record regrowth and respect the history limit', function() {
+        var vs3 = copySimulation({historyLimit: 2}),
+            keys = Object.keys(vs3.tree);
+        vs3.setTreeState(keys[0], false);
+        vs3.advanceTime(vs3.treeRegrowTime);
+        assert.ok(vs3.tree_state[keys[0]]);
+        vs3.setTreeState(keys[1], false);
+        vs3.setTreeState(keys[2], false);
+        assert.ok(vs3.undo() && vs3.undo());
+        assert.ok(!vs3.undo());
+        assert.ok(vs3.tree_state[keys[0]] && vs3.tree_state[keys[1]] && vs3.tree_state[keys[2]]);
+    });
+});
+
+describe('State export', function() {
+    var vs2;
+
+    beforeEach(function() {
+        vs2 = copySimulation();
+        var keys = Object.keys(vs2.tree);
+        vs2.setTreeState(keys[3], false);
+        vs2.advanceTime(20);
+        vs2.setTreeState(keys[700], false);
+        vs2.addObstacle({x: 120, y: 120, radius: 2, height: 40, duration: 5});
+        vs2.addObstacle({id: 'f', points: [[100, 100], [110, 110], [111, 109], [101, 99]]});
+        vs2.setRadius(20);
+        vs2.setTimeOfDay(VisionSimulation.NIGHT);
+        vs2.updateVisibility(130, 130, 10);
+    });
+
+    it('should restore the state from JSON and from a compact string', function() {
+        var state = vs2.exportState(),
+            compact = vs2.exportState({compact: true});
+        assert.equal(state.trees.length, 2);
+        assert.ok(/^1\.[A-Za-z0-9_-]+$/.test(compact));
+        [state, JSON.stringify(state), compact].forEach(function (data) {
+            var vs3 = copySimulation();
+            vs3.importState(data);
+            assert.deepEqual(vs3.exportState(), state);
+            assert.equal(vs3.lightArea, vs2.lightArea);
+            assert.deepEqual(vs3.getCutTrees(), vs2.getCutTrees());
+            assert.deepEqual(vs3.getObstacle('f').cells, vs2.getObstacle('f').cells);
+            assert.equal(vs3.addObstacle({x: 10, y: 10, radius: 1}), vs2.nextObstacleId);
+        });
+    });
+
+    it('should replace the current board and clear the history', function() {
+        var vs3 = copySimulation(),
+            state = vs3.exportState();
+        vs2.importState(state);
+        assert.equal(vs2.getCutTrees().length, 0);
+        assert.equal(vs2.getObstacles().length, 0);
+        assert.equal(vs2.radius, vs3.radius);
+        assert.ok(!vs2.isNight());
+        assert.ok(!vs2.canUndo());
+    });
+
+    it('should reject invalid states', function() {
+        var state = vs2.exportState();
+        assert.throws(function () { vs2.importState('2.W10'); }, /Unsupported state version/);
+        assert.throws(function () { vs2.importState('1.xyz'); }, /Invalid state format/);
+        assert.throws(function () { vs2.importState({format: 'other'}); }, /Invalid state format/);
+        state.treeCount++;
+        assert.throws(function () { vs2.importState(state); }, /different map/);
+    });
+
+    it('should leave the simulation unchanged when a state is invalid', function() {
+        var before = vs2.exportState(),
+            compact = vs2.exportState({compact: true}),
+            packed = JSON.parse(Buffer.from(compact.slice(2), 'base64').toString('utf8'));
+        function withField(name, value) {
+            var state = JSON.parse(JSON.stringify(before));
+            if (value === undefined) delete state[name];
+            else state[name] = value;
+            return state;
+        }
+        function pack(values) {
+            return '1.' + Buffer.from(JSON.stringify(values)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        }
+        [
+            compact.slice(0, compact.length - 5),
+            compact.slice(0, 2) + '!' + compact.slice(3),
+            pack(packed.slice(0, 8)),
+            pack(packed.map(function (value, i) { return i === 5 ? value.concat([1]) : value; })),
+            pack(packed.map(function (value, i) { return i === 7 ? [[1, null, null, 'a']] : value; })),
+            pack(packed.map(function (value, i) { return i === 1 ? 'soon' : value; })),
+            '{"format":',
+            withField('obstacles', undefined),
+            withField('trees', undefined),
+            withField('timeOfDay', 'noon'),
+            withField('time', '10'),
+            withField('radius', null),
+            withField('sources', [{x: -1, y: 0}]),
+            withField('trees', [{key: before.trees[0].key, cutTime: 0}]),
+            withField('obstacles', before.obstacles.concat([{id: 'g', points: [[1, 1], [2, 2]]}]))
+        ].forEach(function (state) {
+            assert.throws(function () { vs2.importState(state); }, /Invalid state format/);
+            assert.deepEqual(vs2.exportState(), before);
+        });
+        assert.throws(function () { vs2.importState(withField('trees', [{key: '0.5,0.5', cutTime: 0, regrowTime: 1}])); }, /different map/);
+        assert.deepEqual(vs2.exportState(), before);
+    });
+});
+
+describe('Parallel batches', function() {
+    this.timeout(60000);
+    var sources = [];
+    for (var i = 0; i < 24; i++) {
+        sources.push({x: 100 + i * 3, y: 100 + (i % 5) * 7});
+    }
+
+    it('should match serial results in source order', function() {
+        var vs2 = copySimulation(),
+            tree = fixtureTree(vs2);
+        vs2.cutTree(Math.floor(tree.x), Math.floor(tree.y));
+        vs2.addObstacle({x: 110, y: 110, radius: 2, height: 40});
+        return vs2.computeVisibilityBatch(sources, {workers: 2, chunkSize: 5}).then(function (results) {
+            assert.equal(results.length, sources.length);
+            results.forEach(function (result, i) {
+                var serial = vs2.computeVisibility(sources[i].x, sources[i].y);
+                assert.equal(result.x, sources[i].x);
+                assert.equal(result.lightArea, serial.lightArea);
+                assert.deepEqual(Object.keys(result.lights).sort(), Object.keys(serial.lights).sort());
+            });
+        });
+    });
+
+    it('should compute on the current thread without workers and report errors', function() {
+        return vs.computeVisibilityBatch(sources, {workers: 0, lights: false}).then(function (results) {
+            assert.equal(results[3].lightArea, vs.computeVisibility(sources[3].x, sources[3].y).lightArea);
+            assert.equal(results[3].lights, undefined);
+            return vs.computeVisibilityBatch(sources.concat({x: -1, y: 0}), {workers: 1});
+        }).then(function () {
+            assert.fail('out of bounds source should reject');
+        }, function (err) {
+            assert.ok(/out of bounds/.test(err.message));
+        });
+    });
+
+    it('should sweep heatmaps in parallel', function() {
+        var bounds = {minX: 110, minY: 110, maxX: 119, maxY: 119},
+            serial = new VisionSimulation.Heatmap(vs, {bounds: bounds}),
+            parallel = new VisionSimulation.Heatmap(vs, {bounds: bounds});
+        serial.run();
+        return parallel.runParallel({workers: 2, limit: 30}).then(function (complete) {
+            assert.ok(!complete);
+            return parallel.runParallel({workers: 2});
+        }).then(function (complete) {
+            assert.ok(complete);
+            assert.deepEqual(parallel.values, serial.values);
+        });
+    });
+});
+
+describe('Incremental visibility', function() {
+    function assertSameAsFull(vs2, x, y, radius) {
+        var full = vs2.computeVisibility(x, y, {radius: radius});
+        assert.equal(vs2.lightArea, full.lightArea);
+        assert.equal(vs2.area, full.area);
+        assert.deepEqual(Object.keys(vs2.lights).sort(), Object.keys(full.lights).sort());
+    }
+
+    it('should match a full computation after tree toggles', function() {
+        var vs2 = copySimulation(),
+            x = 128,
+            y = 128,
+            near = Object.keys(vs2.tree).map(function (treeKey) {
+                return vs2.tree[treeKey];
+            }).filter(function (tree) {
+                return Math.abs(tree.x - x) < 25 && Math.abs(tree.y - y) < 25;
+            });
+        vs2.updateVisibility(x, y);
+        for (var i = 0; i < near.length && i < 20; i++) {
+            vs2.toggleTree(Math.floor(near[i].x), Math.floor(near[i].y));
+            vs2.updateVisibility(x, y);
+            assertSameAsFull(vs2, x, y);
+        }
+        vs2.undo();
+        vs2.undo();
+        vs2.updateVisibility(x, y);
+        assertSameAsFull(vs2, x, y);
+    });
+
+    it('should match a full computation when trees in the first two rings change at a radius of 1 or 2', function() {
+        var vs2 = copySimulation();
+        [1, 2].forEach(function (radius) {
+            vs2.updateVisibility(153, 35, radius);
+            vs2.toggleTree(152, 37);
+            vs2.updateVisibility(153, 35, radius);
+            assertSameAsFull(vs2, 153, 35, radius);
+            vs2.toggleTree(152, 37);
+            vs2.updateVisibility(153, 35, radius);
+            assertSameAsFull(vs2, 153, 35, radius);
+        });
+    });
+
+    it('should recompute after obstacle changes', function() {
+        var vs2 = copySimulation(),
+            tree = fixtureTree(vs2),
+            x = Math.floor(tree.x) + 6,
+            y = Math.floor(tree.y);
+        vs2.updateVisibility(x, y);
+        vs2.addObstacle({x: x - 3, y: y + 2, radius: 1, height: 40});
+        vs2.cutTree(Math.floor(tree.x), Math.floor(tree.y));
+        vs2.updateVisibility(x, y);
+        assertSameAsFull(vs2, x, y);
+        vs2.clearObstacles();
+        vs2.toggleTree(Math.floor(tree.x), Math.floor(tree.y));
+        vs2.updateVisibility(x, y);
+        assertSameAsFull(vs2, x, y);
+    });
+});
+
+describe('Command-line tool', function() {
+    var cli = require("../src/cli.js");
+
+    function runCli(argv, vs2) {
+        var chunks = [];
+        return cli.run(argv, {
+            simulation: vs2 || copySimulation(),
+            stdout: {write: function (chunk) { chunks.push(Buffer.from(chunk)); }}
+        }).then(function () {
+            return Buffer.concat(chunks);
+        });
+    }
+
+    it('should parse options and positions', function() {
+        var args = cli.parseArgs(['count', '-120', '40', '--world', '--radius', '10', '--toggle', '1,2;3,4', '--toggle', '5,6']);
+        assert.deepEqual(args._, ['count', '-120', '40']);
+        assert.equal(args.world, true);
+        assert.equal(args.radius, '10');
+        assert.deepEqual(args.toggle, ['1,2;3,4', '5,6']);
+        assert.throws(function () { cli.parseArgs(['count', '--bogus']); }, /Unknown option/);
+        assert.throws(function () { cli.parseArgs(['count', '1', '2', '--radius']); }, /Missing value/);
+    });
+
+    it('should print counts and JSON from grid or world coordinates', function() {
+        var tree = fixtureTree(),
+            x = Math.floor(tree.x) + 4,
+            y = Math.floor(tree.y),
+            world = vs.GridXYtoWorldXY(x, y),
+            vs2 = copySimulation();
+        vs2.toggleTree(Math.floor(tree.x), Math.floor(tree.y));
+        var expected = vs2.computeVisibility(x, y, {radius: 12});
+        return runCli(['count', String(x), String(y), '--radius', '12', '--toggle', Math.floor(tree.x) + ',' + Math.floor(tree.y)]).then(function (output) {
+            assert.equal(output.toString(), expected.lightArea + '\n');
+            return runCli(['visibility', String(world.x), String(world.y), '--world', '--radius', '12'], vs2);
+        }).then(function (output) {
+            var json = JSON.parse(output.toString());
+            assert.equal(json.x, x);
+            assert.equal(json.y, y);
+            assert.equal(json.lightArea, expected.lightArea);
+            assert.equal(json.cells.length, expected.lightArea);
+            assert.ok(expected.lights[json.cells[0][0] + ',' + json.cells[0][1]]);
+        });
+    });
+
+    it('should render PNGs and reject invalid arguments', function() {
+        return runCli(['render', '128', '128', '--zoom', '2']).then(function (output) {
+            assert.equal(output.slice(1, 4).toString(), 'PNG');
+            return runCli(['count', '128']);
+        }).then(function () {
+            assert.fail('missing position should reject');
+        }, function (err) {
+            assert.ok(/Expected <x> <y>/.test(err.message));
+            return runCli(['count', '128', '128', '--toggle', '0,0']);
+        }).then(function () {
+            assert.fail('toggling a position without a tree should reject');
+        }, function (err) {
+            assert.ok(/No tree at 0,0/.test(err.message));
+        });
+    });
+
+    it('should leave a given simulation unchanged and reject options of other commands', function() {
+        var tree = fixtureTree(),
+            vs2 = copySimulation(),
+            before = vs2.exportState();
+        return runCli(['count', '128', '128', '--night', '--toggle', Math.floor(tree.x) + ',' + Math.floor(tree.y)], vs2).then(function () {
+            assert.deepEqual(vs2.exportState(), before);
+            return runCli(['serve', '--toggle', '1,2']);
+        }).then(function () {
+            assert.fail('serve should reject --toggle');
+        }, function (err) {
+            assert.ok(/Option --toggle does not apply to serve/.test(err.message));
+            return runCli(['count', '128', '128', '--port', '80']);
+        }).then(function () {
+            assert.fail('count should reject --port');
+        }, function (err) {
+            assert.ok(/Option --port does not apply to count/.test(err.message));
+        });
+    });
+
+    it('should log load timings with the logger option', function() {
+        var logs = [],
+            vs2 = copySimulation({logger: function (label) { logs.push(label); }});
+        assert.ok(vs2.ready);
+        assert.deepEqual(logs, ['map data load']);
+        assert.equal(copySimulation({logger: null}).logger, null);
+    });
+});
+
+describe('HTTP server', function() {
+    var server = require("../src/server.js"),
+        cli = require("../src/cli.js"),
+        vs2,
+        httpServer,
+        base;
+
+    before(function() {
+        vs2 = copySimulation();
+        return cli.run(['serve', '--port', '0'], {simulation: vs2, stdout: {write: function () {}}}).then(function (listening) {
+            httpServer = listening;
+            base = 'http://127.0.0.1:' + httpServer.address().port;
+        });
+    });
+
+    after(function(done) {
+        httpServer.close(done);
+    });
+
+    function request(path, opts) {
+        return fetch(base + path, opts).then(function (res) {
+            return res.json().then(function (body) {
+                return {status: res.status, headers: res.headers, body: body};
+            });
+        });
+    }
+
+    it('should answer health, visibility, line of sight and cell queries', function() {
+        var expected = vs2.computeVisibility(128, 128, {radius: 10});
+        return request('/health').then(function (res) {
+            assert.equal(res.status, 200);
+            assert.equal(res.body.status, 'ok');
+            assert.equal(res.body.trees, Object.keys(vs2.tree).length);
+            return request('/visibility?x=128&y=128&radius=10');
+        }).then(function (res) {
+            assert.equal(res.body.lightArea, expected.lightArea);
+            assert.deepEqual(res.body.cells, server.serializeVisibility(vs2, expected).cells);
+            return request('/line-of-sight?x1=128&y1=128&x2=130&y2=135');
+        }).then(function (res) {
+            assert.equal(res.body.visible, vs2.canSee({x: 128, y: 128}, {x: 130, y: 135}));
+            var world = vs2.GridXYtoWorldXY(128, 128);
+            return request('/cell?world&x=' + world.x + '&y=' + world.y);
+        }).then(function (res) {
+            assert.equal(res.body.x, 128);
+            assert.equal(res.body.elevation, vs2.getElevation(128, 128));
+            assert.equal(res.body.validWard, vs2.isValidXY(128, 128, true, true, true));
+        });
+    });
+
+    it('should toggle trees and restore state snapshots', function() {
+        var tree = fixtureTree(vs2),
+            position = [Math.floor(tree.x), Math.floor(tree.y)],
+            snapshot;
+        return request('/state').then(function (res) {
+            snapshot = res.body;
+            return request('/trees/toggle', {method: 'POST', body: JSON.stringify({trees: [position]})});
+        }).then(function (res) {
+            assert.equal(res.status, 200);
+            assert.equal(res.body.cutTrees.length, 1);
+            assert.ok(!vs2.tree_state[tree.x + ',' + tree.y]);
+            return request('/trees/toggle', {method: 'POST', body: JSON.stringify({trees: [[0, 0]]})});
+        }).then(function (res) {
+            assert.equal(res.status, 400);
+            return request('/trees/toggle', {method: 'POST', body: JSON.stringify({trees: [position, [position[0] + 1, position[1] + 1]]})});
+        }).then(function (res) {
+            assert.equal(res.status, 400);
+            assert.ok(/already toggled/.test(res.body.error));
+            assert.equal(vs2.getCutTrees().length, 1);
+            return request('/state', {method: 'PUT', body: JSON.stringify(snapshot)});
+        }).then(function (res) {
+            assert.equal(res.status, 200);
+            assert.equal(res.body.trees.length, 0);
+            assert.ok(vs2.tree_state[tree.x + ',' + tree.y]);
+        });
+    });
+
+    it('should reject invalid requests', function() {
+        return request('/visibility?x=128').then(function (res) {
+            assert.equal(res.status, 400);
+            assert.ok(/Missing parameter: y/.test(res.body.error));
+            return request('/visibility?x=999&y=0');
+        }).then(function (res) {
+            assert.equal(res.status, 400);
+            return request('/trees/toggle', {method: 'POST', body: '{'});
+        }).then(function (res) {
+            assert.equal(res.status, 400);
+            return request('/state', {method: 'DELETE'});
+        }).then(function (res) {
+            assert.equal(res.status, 405);
+            assert.equal(res.headers.get('allow'), 'GET, PUT');
+            return request('/missing');
+        }).then(function (res) {
+            assert.equal(res.status, 404);
+            return request('//');
+        }).then(function (res) {
+            assert.equal(res.status, 400);
+            assert.ok(/Invalid URL/.test(res.body.error));
+            return request('/health');
+        }).then(function (res) {
+            assert.equal(res.status, 200);
+        });
+    });
+
+    it('should leave the state unchanged when a PUT is rejected', function() {
+        var tree = fixtureTree(vs2),
+            before;
+        vs2.toggleTree(Math.floor(tree.x), Math.floor(tree.y));
+        return request('/state').then(function (res) {
+            before = res.body;
+            var state = Object.assign({}, before, {timeOfDay: 'noon'});
+            delete state.obstacles;
+            return request('/state', {method: 'PUT', body: JSON.stringify(state)});
+        }).then(function (res) {
+            assert.equal(res.status, 400);
+            assert.ok(/Invalid state format/.test(res.body.error));
+            return request('/state', {method: 'PUT', body: JSON.stringify({state: '1.garbled'})});
+        }).then(function (res) {
+            assert.equal(res.status, 400);
+            return request('/state');
+        }).then(function (res) {
+            assert.deepEqual(res.body, before);
+            assert.equal(res.body.trees.length, 1);
+            vs2.toggleTree(Math.floor(tree.x), Math.floor(tree.y));
+        });
+    });
+});